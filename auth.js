@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Tenant ids end up in storage keys, so keep them to path-safe characters.
+const TENANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// API_KEYS is a comma-separated list of tenantId:apiKey pairs. A tenant can
+// have several keys so they can be rotated without downtime. Only hashes are
+// kept, and lookups go through the hash so comparisons don't leak timing.
+function loadApiKeys(config = process.env.API_KEYS || '') {
+  const keys = new Map();
+
+  for (const entry of config.split(',')) {
+    if (!entry.trim()) continue;
+
+    const separator = entry.indexOf(':');
+    const tenantId = entry.slice(0, separator).trim();
+    const apiKey = entry.slice(separator + 1).trim();
+
+    if (separator === -1 || !apiKey) {
+      throw new Error('API_KEYS entries must look like tenantId:apiKey');
+    }
+
+    if (!TENANT_ID_PATTERN.test(tenantId)) {
+      throw new Error(`Invalid tenant id in API_KEYS: ${tenantId}`);
+    }
+
+    keys.set(hashApiKey(apiKey), tenantId);
+  }
+
+  return keys;
+}
+
+const apiKeys = loadApiKeys();
+
+if (apiKeys.size === 0) {
+  console.warn('API_KEYS is not set; every authenticated route will answer 401');
+}
+
+function readApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : null;
+}
+
+// Sets req.tenantId for the rest of the request. Everything a tenant creates
+// is stamped with it, and every lookup is scoped by it.
+function authenticate(req, res, next) {
+  const apiKey = readApiKey(req);
+
+  if (!apiKey) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+      error: 'API key required',
+      details: 'Send it as "Authorization: Bearer <key>" or in the X-API-Key header'
+    });
+  }
+
+  const tenantId = apiKeys.get(hashApiKey(apiKey));
+
+  if (!tenantId) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({
+      error: 'Invalid API key'
+    });
+  }
+
+  req.tenantId = tenantId;
+  next();
+}
+
+module.exports = { authenticate };
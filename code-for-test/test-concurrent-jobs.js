@@ -4,12 +4,24 @@ const FormData = require('form-data');
 const fs = require('fs');
 
 const API_BASE = 'http://localhost:3000';
+// One of the keys listed in the server's API_KEYS, e.g. API_KEY=change-me
+const API_KEY = process.env.API_KEY;
+
+if (!API_KEY) {
+  console.error('Set API_KEY to one of the keys in the server\'s API_KEYS');
+  process.exit(1);
+}
+
+const api = axios.create({
+  baseURL: API_BASE,
+  headers: { 'X-API-Key': API_KEY }
+});
 
 async function uploadFile(filename) {
   const formData = new FormData();
   formData.append('file', fs.createReadStream(filename));
   
-  const response = await axios.post(`${API_BASE}/upload`, formData, {
+  const response = await api.post('/upload', formData, {
     headers: formData.getHeaders()
   });
   
@@ -17,7 +29,7 @@ async function uploadFile(filename) {
 }
 
 async function processFile(fileId, fileName) {
-  const response = await axios.post(`${API_BASE}/process/${fileId}`, {
+  const response = await api.post(`/process/${fileId}`, {
     fileName: fileName
   });
   
@@ -25,12 +37,12 @@ async function processFile(fileId, fileName) {
 }
 
 async function getJobStatus(jobId) {
-  const response = await axios.get(`${API_BASE}/jobs/${jobId}`);
+  const response = await api.get(`/jobs/${jobId}`);
   return response.data;
 }
 
 async function getQueueStats() {
-  const response = await axios.get(`${API_BASE}/queue/stats`);
+  const response = await api.get('/queue/stats');
   return response.data;
 }
 
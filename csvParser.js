@@ -0,0 +1,208 @@
+const { PermanentJobError } = require('./jobErrors');
+
+const LF = 0x0a;
+const CR = 0x0d;
+const MAX_FIELD_BYTES = 10 * 1024 * 1024;
+
+const FIELD_START = 0;
+const UNQUOTED = 1;
+const QUOTED = 2;
+const QUOTE_IN_QUOTED = 3;
+
+const DELIMITER_ALIASES = {
+  comma: ',',
+  tab: '\t',
+  semicolon: ';',
+  pipe: '|'
+};
+
+class ParserOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ParserOptionsError';
+    this.statusCode = 400;
+  }
+}
+
+function toSingleByte(value, name) {
+  const char = DELIMITER_ALIASES[value] || value;
+  
+  if (typeof char !== 'string' || char.length !== 1 || char.charCodeAt(0) > 0x7f ||
+      char === '\n' || char === '\r') {
+    throw new ParserOptionsError(`${name} must be a single ASCII character`);
+  }
+  
+  return char;
+}
+
+// Normalises { delimiter, quote, encoding } from a process request. The
+// parser scans raw bytes for the delimiter, quote and newline, so only
+// ASCII-compatible encodings can be supported.
+function normalizeParserOptions(options = {}, fileName = '') {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new ParserOptionsError('parserOptions must be an object');
+  }
+  
+  const defaultDelimiter = fileName.toLowerCase().endsWith('.tsv') ? '\t' : ',';
+  const delimiter = toSingleByte(options.delimiter || defaultDelimiter, 'delimiter');
+  const quote = toSingleByte(options.quote || '"', 'quote');
+  const encoding = (options.encoding || 'utf-8').toLowerCase();
+  
+  if (delimiter === quote) {
+    throw new ParserOptionsError('delimiter and quote must be different characters');
+  }
+  
+  let decoder;
+  try {
+    decoder = new TextDecoder(encoding);
+  } catch (error) {
+    throw new ParserOptionsError(`Unsupported encoding: ${options.encoding}`);
+  }
+  
+  if (decoder.encoding.startsWith('utf-16')) {
+    throw new ParserOptionsError('UTF-16 files are not supported; convert to UTF-8 first');
+  }
+  
+  return { delimiter, quote, encoding: decoder.encoding };
+}
+
+// Streaming RFC 4180 parser. Yields one record at a time with the physical
+// line it started on and the byte offset just past it, so a job can resume
+// mid-file with a ranged read and still report accurate line numbers.
+// Quoted fields may contain delimiters, newlines and doubled ("") quotes.
+async function* parseCSV(stream, {
+  delimiter = ',',
+  quote = '"',
+  encoding = 'utf-8',
+  startOffset = 0,
+  startLine = 1
+} = {}) {
+  const delimiterByte = delimiter.charCodeAt(0);
+  const quoteByte = quote.charCodeAt(0);
+  const isUtf8 = encoding === 'utf-8';
+  const decoder = isUtf8 ? null : new TextDecoder(encoding);
+  
+  let offset = startOffset;
+  let line = startLine;
+  let recordLine = startLine;
+  let state = FIELD_START;
+  let values = [];
+  let field = Buffer.allocUnsafe(1024);
+  let fieldLength = 0;
+  let sawBytes = false;
+  let checkBom = startOffset === 0 && isUtf8;
+  
+  const pushByte = (byte) => {
+    if (fieldLength === field.length) {
+      if (field.length >= MAX_FIELD_BYTES) {
+        throw new PermanentJobError(
+          `Field starting on line ${recordLine} exceeds ${MAX_FIELD_BYTES} bytes (unterminated quote?)`
+        );
+      }
+      const grown = Buffer.allocUnsafe(field.length * 2);
+      field.copy(grown, 0, 0, fieldLength);
+      field = grown;
+    }
+    field[fieldLength++] = byte;
+  };
+  
+  const endField = () => {
+    const bytes = field.subarray(0, fieldLength);
+    values.push(isUtf8 ? bytes.toString('utf8') : decoder.decode(bytes));
+    fieldLength = 0;
+  };
+  
+  const takeRecord = (extra = {}) => {
+    const record = { values, line: recordLine, endLine: line, endOffset: offset, ...extra };
+    values = [];
+    sawBytes = false;
+    return record;
+  };
+  
+  for await (const chunk of stream) {
+    let data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    
+    if (checkBom) {
+      checkBom = false;
+      if (data.length >= 3 && data[0] === 0xef && data[1] === 0xbb && data[2] === 0xbf) {
+        data = data.subarray(3);
+        offset += 3;
+      }
+    }
+    
+    for (let i = 0; i < data.length; i++) {
+      const byte = data[i];
+      offset++;
+      
+      if (state === QUOTED) {
+        if (byte === quoteByte) {
+          state = QUOTE_IN_QUOTED;
+        } else {
+          if (byte === LF) line++;
+          pushByte(byte);
+        }
+        continue;
+      }
+      
+      if (state === QUOTE_IN_QUOTED) {
+        if (byte === quoteByte) {
+          pushByte(byte);
+          state = QUOTED;
+          continue;
+        }
+        // The quote closed the field; anything before the next delimiter is
+        // kept as-is rather than rejecting the whole record.
+        state = UNQUOTED;
+      }
+      
+      if (byte === delimiterByte) {
+        endField();
+        state = FIELD_START;
+      } else if (byte === LF) {
+        endField();
+        state = FIELD_START;
+        yield takeRecord();
+        line++;
+        recordLine = line;
+      } else if (byte === CR) {
+        // Dropped outside quotes so CRLF files parse like LF files.
+      } else if (byte === quoteByte && state === FIELD_START) {
+        state = QUOTED;
+      } else {
+        pushByte(byte);
+        state = UNQUOTED;
+      }
+      
+      if (byte !== LF) sawBytes = true;
+    }
+  }
+  
+  if (state === QUOTED) {
+    endField();
+    yield takeRecord({ error: `Unterminated quoted field starting on line ${recordLine}` });
+  } else if (sawBytes || values.length > 0 || fieldLength > 0) {
+    endField();
+    yield takeRecord();
+  }
+}
+
+// Serialises one row, quoting only the fields that need it so the output
+// round-trips through parseCSV.
+function formatCSVRow(values, { delimiter = ',', quote = '"' } = {}) {
+  return values.map((value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    
+    if (!text.includes(delimiter) && !text.includes(quote) && !/[\r\n]/.test(text)) {
+      return text;
+    }
+    
+    return quote + text.split(quote).join(quote + quote) + quote;
+  }).join(delimiter);
+}
+
+module.exports = {
+  ParserOptionsError,
+  normalizeParserOptions,
+  parseCSV,
+  formatCSVRow
+};
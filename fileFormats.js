@@ -0,0 +1,359 @@
+const path = require('path');
+const { PassThrough, pipeline } = require('stream');
+const ExcelJS = require('exceljs');
+const { parseCSV } = require('./csvParser');
+const { PermanentJobError } = require('./jobErrors');
+
+const LF = 0x0a;
+const MAX_ELEMENT_BYTES = 10 * 1024 * 1024;
+const UTF8_BOM = [0xef, 0xbb, 0xbf];
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04];
+
+// seekable: a checkpoint's byte offset can be resumed with a ranged read.
+// tabular: rows are value arrays with an optional header row; otherwise each
+// record is a JSON object matched to schema fields by key.
+const FORMATS = {
+  csv: { extensions: ['.csv', '.tsv', '.txt'], seekable: true, tabular: true },
+  jsonl: { extensions: ['.jsonl', '.ndjson'], seekable: true, tabular: false },
+  json: { extensions: ['.json'], seekable: true, tabular: false },
+  xlsx: { extensions: ['.xlsx'], seekable: false, tabular: true }
+};
+
+const SUPPORTED_MIME_TYPES = [
+  'text/',
+  'application/csv',
+  'application/json',
+  'application/x-ndjson',
+  'application/jsonl',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+function formatFromExtension(fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  
+  return Object.keys(FORMATS).find(format => FORMATS[format].extensions.includes(extension));
+}
+
+function isSupportedUpload(fileName, mimeType = '') {
+  return Boolean(formatFromExtension(fileName)) ||
+    SUPPORTED_MIME_TYPES.some(type => mimeType.startsWith(type));
+}
+
+function startsWith(bytes, signature) {
+  return signature.every((byte, index) => bytes[index] === byte);
+}
+
+// Binary signatures win over the extension, CSV/TSV extensions win over
+// content (a CSV can legitimately start with "["), and JSON vs JSON Lines is
+// decided by the first character since the two are often misnamed.
+function detectFormat(fileName, firstBytes = Buffer.alloc(0)) {
+  if (startsWith(firstBytes, ZIP_MAGIC)) return 'xlsx';
+  
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (extension === '.csv' || extension === '.tsv') return 'csv';
+  
+  const start = startsWith(firstBytes, UTF8_BOM) ? 3 : 0;
+  const text = firstBytes.subarray(start).toString('utf8').trimStart();
+  
+  if (text.startsWith('[')) return 'json';
+  if (text.startsWith('{')) return 'jsonl';
+  
+  return formatFromExtension(fileName) || 'csv';
+}
+
+async function* readJsonLines(stream, { startOffset = 0, startLine = 1 } = {}) {
+  let offset = startOffset;
+  let line = startLine;
+  // The unfinished line is kept as a list of chunks and joined once, when
+  // its newline arrives, so a long line isn't copied on every chunk.
+  let partial = [];
+  let partialLength = 0;
+  let checkBom = startOffset === 0;
+  
+  const toRecord = (bytes, endOffset) => {
+    const text = bytes.toString('utf8').trim();
+    const record = { line, endLine: line, endOffset };
+    
+    if (!text) return null;
+    
+    try {
+      record.object = JSON.parse(text);
+    } catch (error) {
+      record.error = `Invalid JSON: ${error.message}`;
+      record.raw = text;
+    }
+    
+    return record;
+  };
+  
+  const takeLine = (tail) => {
+    const bytes = partialLength > 0 ? Buffer.concat([...partial, tail]) : tail;
+    partial = [];
+    partialLength = 0;
+    return bytes;
+  };
+  
+  for await (const chunk of stream) {
+    let data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    
+    if (checkBom) {
+      checkBom = false;
+      if (startsWith(data, UTF8_BOM)) {
+        data = data.subarray(3);
+        offset += 3;
+      }
+    }
+    
+    let start = 0;
+    let newline;
+    
+    while ((newline = data.indexOf(LF, start)) !== -1) {
+      const bytes = takeLine(data.subarray(start, newline));
+      offset += bytes.length + 1;
+      const record = toRecord(bytes, offset);
+      if (record) yield record;
+      line++;
+      start = newline + 1;
+    }
+    
+    if (start < data.length) {
+      partial.push(data.subarray(start));
+      partialLength += data.length - start;
+      
+      if (partialLength > MAX_ELEMENT_BYTES) {
+        throw new PermanentJobError(`JSON line ${line} exceeds ${MAX_ELEMENT_BYTES} bytes`);
+      }
+    }
+  }
+  
+  if (partialLength > 0) {
+    const bytes = takeLine(Buffer.alloc(0));
+    offset += bytes.length;
+    const record = toRecord(bytes, offset);
+    if (record) yield record;
+  }
+}
+
+// Streams the elements of a top-level JSON array without holding the whole
+// document. Resuming from a checkpoint starts just after an element, i.e.
+// already inside the array.
+async function* readJsonArray(stream, { startOffset = 0, startLine = 1 } = {}) {
+  let offset = startOffset;
+  let line = startLine;
+  let insideArray = startOffset > 0;
+  let finished = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let element = Buffer.allocUnsafe(1024);
+  let elementLength = 0;
+  let elementLine = line;
+  let collecting = false;
+  let checkBom = startOffset === 0;
+  
+  const pushByte = (byte) => {
+    if (elementLength === element.length) {
+      if (element.length >= MAX_ELEMENT_BYTES) {
+        throw new PermanentJobError(
+          `JSON element starting on line ${elementLine} exceeds ${MAX_ELEMENT_BYTES} bytes`
+        );
+      }
+      const grown = Buffer.allocUnsafe(element.length * 2);
+      element.copy(grown, 0, 0, elementLength);
+      element = grown;
+    }
+    element[elementLength++] = byte;
+  };
+  
+  const takeElement = (endOffset) => {
+    const text = element.toString('utf8', 0, elementLength);
+    const record = { line: elementLine, endLine: line, endOffset };
+    
+    try {
+      record.object = JSON.parse(text);
+    } catch (error) {
+      record.error = `Invalid JSON: ${error.message}`;
+      record.raw = text;
+    }
+    
+    collecting = false;
+    elementLength = 0;
+    depth = 0;
+    return record;
+  };
+  
+  const isWhitespace = byte => byte === 0x20 || byte === 0x09 || byte === 0x0d || byte === LF;
+  
+  for await (const chunk of stream) {
+    let data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    
+    if (checkBom) {
+      checkBom = false;
+      if (startsWith(data, UTF8_BOM)) {
+        data = data.subarray(3);
+        offset += 3;
+      }
+    }
+    
+    for (let i = 0; i < data.length && !finished; i++) {
+      const byte = data[i];
+      offset++;
+      
+      if (!collecting) {
+        if (byte === LF) line++;
+        if (isWhitespace(byte)) continue;
+        
+        if (!insideArray) {
+          if (byte !== 0x5b) {
+            throw new PermanentJobError('Expected the file to contain a JSON array');
+          }
+          insideArray = true;
+          continue;
+        }
+        
+        if (byte === 0x2c) continue;
+        if (byte === 0x5d) {
+          finished = true;
+          continue;
+        }
+        
+        collecting = true;
+        elementLine = line;
+      }
+      
+      if (inString) {
+        pushByte(byte);
+        if (escaped) {
+          escaped = false;
+        } else if (byte === 0x5c) {
+          escaped = true;
+        } else if (byte === 0x22) {
+          inString = false;
+        }
+        continue;
+      }
+      
+      if (depth === 0 && (byte === 0x2c || byte === 0x5d || isWhitespace(byte)) && elementLength > 0) {
+        // End of a primitive element; the byte itself belongs to the array.
+        yield takeElement(offset - 1);
+        if (byte === LF) line++;
+        if (byte === 0x5d) finished = true;
+        continue;
+      }
+      
+      if (byte === LF) line++;
+      pushByte(byte);
+      
+      if (byte === 0x22) {
+        inString = true;
+      } else if (byte === 0x7b || byte === 0x5b) {
+        depth++;
+      } else if (byte === 0x7d || byte === 0x5d) {
+        depth--;
+        if (depth === 0) {
+          yield takeElement(offset);
+        }
+      }
+    }
+    
+    if (finished) break;
+  }
+  
+  if (collecting && elementLength > 0) {
+    yield takeElement(offset);
+  } else if (!insideArray && startOffset === 0) {
+    throw new PermanentJobError('Expected the file to contain a JSON array');
+  }
+}
+
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return cellToString(value.result);
+    if ('text' in value) return cellToString(value.text);
+    if ('error' in value) return '';
+    return JSON.stringify(value);
+  }
+  
+  return String(value);
+}
+
+async function* readWorksheetRows(workbook, progress) {
+  for await (const worksheet of workbook) {
+    for await (const row of worksheet) {
+      yield {
+        values: Array.from(row.values.slice(1), cellToString),
+        line: row.number,
+        endLine: row.number,
+        endOffset: progress.bytesRead
+      };
+    }
+    break;
+  }
+}
+
+// XLSX is a zip archive, so rows can only be read from the start; resumed
+// jobs skip rows up to their checkpoint instead of seeking. Only the first
+// worksheet is imported.
+async function* readXlsx(stream) {
+  const progress = { bytesRead: 0 };
+  const counter = new PassThrough();
+  counter.on('data', chunk => {
+    progress.bytesRead += chunk.length;
+  });
+  
+  // exceljs pipes its input without forwarding errors, so a storage read
+  // that fails partway would leave it waiting forever. Each row is raced
+  // against the source instead, which lets the error reach the job and its
+  // retry handling.
+  const sourceFailed = new Promise((resolve, reject) => {
+    pipeline(stream, counter, error => {
+      if (error) reject(error);
+    });
+  });
+  sourceFailed.catch(() => {});
+  
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(counter, {
+    sharedStrings: 'cache',
+    styles: 'cache',
+    hyperlinks: 'ignore',
+    worksheets: 'emit',
+    entries: 'ignore'
+  });
+  const rows = readWorksheetRows(workbook, progress);
+  
+  try {
+    while (true) {
+      const { value, done } = await Promise.race([rows.next(), sourceFailed]);
+      if (done) break;
+      yield value;
+    }
+  } finally {
+    if (typeof stream.destroy === 'function') stream.destroy();
+  }
+}
+
+function createRecordReader(format, stream, { parserOptions, startOffset = 0, startLine = 1 } = {}) {
+  switch (format) {
+    case 'jsonl':
+      return readJsonLines(stream, { startOffset, startLine });
+    case 'json':
+      return readJsonArray(stream, { startOffset, startLine });
+    case 'xlsx':
+      return readXlsx(stream);
+    case 'csv':
+      return parseCSV(stream, { ...parserOptions, startOffset, startLine });
+    default:
+      throw new PermanentJobError(`Unsupported file format: ${format}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  isSupportedUpload,
+  detectFormat,
+  createRecordReader
+};
@@ -0,0 +1,509 @@
+const ImportSchema = require('./models/ImportSchema');
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date'];
+const TRANSFORMS = {
+  trim: value => value.trim(),
+  lowercase: value => value.toLowerCase(),
+  uppercase: value => value.toUpperCase()
+};
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const compiledPatterns = new WeakMap();
+
+// The layout every import used before schemas existed; still used when a
+// process request does not name a schema.
+const DEFAULT_SCHEMA = {
+  name: 'default',
+  description: 'name, email, age, department',
+  fields: [
+    { name: 'name', type: 'string', required: true, aliases: ['full name'], transforms: ['trim'] },
+    {
+      name: 'email',
+      type: 'string',
+      required: true,
+      pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$',
+      aliases: ['e-mail', 'email address', 'mail'],
+      transforms: ['trim', 'lowercase']
+    },
+    { name: 'age', type: 'integer', min: 0, max: 150, transforms: ['trim'] },
+    { name: 'department', type: 'string', aliases: ['dept'], transforms: ['trim'] }
+  ]
+};
+
+class SchemaDefinitionError extends Error {
+  constructor(problems) {
+    super(`Invalid import schema: ${problems.join('; ')}`);
+    this.name = 'SchemaDefinitionError';
+    this.statusCode = 400;
+    this.problems = problems;
+  }
+}
+
+function validateSchemaDefinition(definition) {
+  const problems = [];
+  const { name, fields } = definition || {};
+  
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+    problems.push('name must contain only letters, digits, "-" and "_"');
+  } else if (name === DEFAULT_SCHEMA.name) {
+    problems.push(`"${DEFAULT_SCHEMA.name}" is reserved for the built-in schema`);
+  }
+  
+  if (!Array.isArray(fields) || fields.length === 0) {
+    problems.push('fields must be a non-empty array');
+    throw new SchemaDefinitionError(problems);
+  }
+  
+  const seen = new Set();
+  
+  fields.forEach((field, index) => {
+    const label = field && field.name ? `field "${field.name}"` : `fields[${index}]`;
+    
+    if (!field || typeof field.name !== 'string' || !FIELD_NAME_PATTERN.test(field.name)) {
+      problems.push(`${label}: name must be a valid identifier`);
+      return;
+    }
+    
+    if (seen.has(field.name)) {
+      problems.push(`${label}: duplicate field name`);
+    }
+    seen.add(field.name);
+    
+    if (!FIELD_TYPES.includes(field.type || 'string')) {
+      problems.push(`${label}: type must be one of ${FIELD_TYPES.join(', ')}`);
+    }
+    
+    for (const transform of field.transforms || []) {
+      if (!TRANSFORMS[transform]) {
+        problems.push(`${label}: unknown transform "${transform}"`);
+      }
+    }
+    
+    if (field.pattern !== undefined) {
+      try {
+        new RegExp(field.pattern);
+      } catch (error) {
+        problems.push(`${label}: pattern is not a valid regular expression`);
+      }
+    }
+    
+    for (const bound of ['min', 'max']) {
+      if (field[bound] !== undefined && typeof field[bound] !== 'number') {
+        problems.push(`${label}: ${bound} must be a number`);
+      }
+    }
+    
+    if (field.enum !== undefined && (!Array.isArray(field.enum) || field.enum.length === 0)) {
+      problems.push(`${label}: enum must be a non-empty array`);
+    }
+    
+    if (field.aliases !== undefined &&
+        (!Array.isArray(field.aliases) || field.aliases.some(alias => typeof alias !== 'string'))) {
+      problems.push(`${label}: aliases must be an array of strings`);
+    }
+  });
+  
+  if (problems.length > 0) {
+    throw new SchemaDefinitionError(problems);
+  }
+  
+  return {
+    name,
+    description: definition.description,
+    fields: fields.map(field => ({
+      name: field.name,
+      type: field.type || 'string',
+      required: field.required === true,
+      pattern: field.pattern,
+      min: field.min,
+      max: field.max,
+      enum: field.enum,
+      aliases: field.aliases || [],
+      transforms: field.transforms || []
+    }))
+  };
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+// Row-level codes that don't belong to a single field.
+const ERROR_CODES = {
+  MALFORMED_LINE: 'MALFORMED_LINE',
+  INSUFFICIENT_FIELDS: 'INSUFFICIENT_FIELDS',
+  DB_WRITE_FAILED: 'DB_WRITE_FAILED',
+  UNEXPECTED_ERROR: 'UNEXPECTED_ERROR'
+};
+
+// Field codes are derived from the field name so they stay stable for a
+// schema: emailAddress + INVALID -> EMAIL_ADDRESS_INVALID.
+function fieldErrorCode(fieldName, suffix) {
+  const prefix = fieldName
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toUpperCase();
+  
+  return `${prefix}_${suffix}`;
+}
+
+function convertValue(field, value) {
+  switch (field.type) {
+    case 'integer':
+      return /^[-+]?\d+$/.test(value) ? parseInt(value, 10) : undefined;
+    case 'number': {
+      const number = Number(value);
+      return value.trim() !== '' && !isNaN(number) ? number : undefined;
+    }
+    case 'boolean': {
+      const normalized = value.trim().toLowerCase();
+      if (['true', 'yes', '1'].includes(normalized)) return true;
+      if (['false', 'no', '0'].includes(normalized)) return false;
+      return undefined;
+    }
+    case 'date': {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? undefined : date;
+    }
+    default:
+      return value;
+  }
+}
+
+function getPattern(field) {
+  let pattern = compiledPatterns.get(field);
+  
+  if (!pattern) {
+    pattern = new RegExp(field.pattern);
+    compiledPatterns.set(field, pattern);
+  }
+  
+  return pattern;
+}
+
+function validateField(field, rawValue) {
+  let value = rawValue === undefined ? '' : rawValue;
+  
+  for (const transform of field.transforms) {
+    value = TRANSFORMS[transform](value);
+  }
+  
+  if (value.trim() === '') {
+    if (field.required) {
+      return {
+        error: {
+          code: fieldErrorCode(field.name, 'REQUIRED'),
+          category: 'missingFields',
+          message: `${field.name} is required`
+        }
+      };
+    }
+    return { value: null };
+  }
+  
+  const invalid = (suffix, message) => ({
+    error: {
+      code: fieldErrorCode(field.name, suffix),
+      category: `invalid${capitalize(field.name)}`,
+      message
+    }
+  });
+  
+  if (field.pattern && !getPattern(field).test(value)) {
+    return invalid('INVALID', `Invalid ${field.name} format: ${value}`);
+  }
+  
+  const converted = convertValue(field, value);
+  if (converted === undefined) {
+    return invalid('INVALID', `Invalid ${field.name} format: "${value}" is not a valid ${field.type}`);
+  }
+  
+  const comparable = converted instanceof Date ? converted.getTime() : converted;
+  const rangeValue = field.type === 'string' ? converted.length : comparable;
+  const rangeLabel = field.type === 'string' ? ' characters' : '';
+  
+  if ((field.min !== undefined && rangeValue < field.min) ||
+      (field.max !== undefined && rangeValue > field.max)) {
+    const bounds = `${field.min !== undefined ? field.min : '-∞'}-${field.max !== undefined ? field.max : '∞'}`;
+    return invalid('OUT_OF_RANGE', `Invalid ${field.name} value: ${value} (must be ${bounds}${rangeLabel})`);
+  }
+  
+  if (field.enum && !field.enum.map(String).includes(String(converted))) {
+    return invalid('NOT_ALLOWED', `Invalid ${field.name} value: ${value} (must be one of ${field.enum.join(', ')})`);
+  }
+  
+  return { value: converted };
+}
+
+function normalizeHeader(value) {
+  return String(value).toLowerCase().replace(/\s+/g, '');
+}
+
+function positionalColumns(schema) {
+  return Object.fromEntries(schema.fields.map((field, index) => [field.name, index]));
+}
+
+class ColumnMappingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ColumnMappingError';
+    this.statusCode = 400;
+  }
+}
+
+// Checks a client-supplied mapping of { schemaField: header name or column
+// index } before a job is queued, so mistakes surface as a 400 rather than
+// a failed job.
+function validateColumnMapping(schema, columnMapping, hasHeader = true) {
+  if (columnMapping === undefined) return;
+  
+  if (!columnMapping || typeof columnMapping !== 'object' || Array.isArray(columnMapping)) {
+    throw new ColumnMappingError('columnMapping must be an object of { field: column }');
+  }
+  
+  const fieldNames = schema.fields.map(field => field.name);
+  
+  for (const [field, column] of Object.entries(columnMapping)) {
+    if (!fieldNames.includes(field)) {
+      throw new ColumnMappingError(`columnMapping refers to unknown field "${field}"`);
+    }
+    
+    const isIndex = Number.isInteger(column) && column >= 0;
+    
+    if (!isIndex && typeof column !== 'string') {
+      throw new ColumnMappingError(`columnMapping.${field} must be a header name or column index`);
+    }
+    
+    if (!hasHeader && !isIndex) {
+      throw new ColumnMappingError(`columnMapping.${field} must be a column index when hasHeader is false`);
+    }
+  }
+}
+
+// Works out which column feeds each schema field. Explicit mappings win;
+// otherwise headers are matched to field names and aliases ignoring case and
+// whitespace. Files without a header fall back to schema field order.
+function resolveColumns(schema, headerValues, { columnMapping = {}, hasHeader = true } = {}) {
+  if (!hasHeader) {
+    return { ...positionalColumns(schema), ...columnMapping };
+  }
+  
+  const headerIndex = new Map();
+  headerValues.forEach((header, index) => {
+    const key = normalizeHeader(header);
+    if (key && !headerIndex.has(key)) {
+      headerIndex.set(key, index);
+    }
+  });
+  
+  const columns = {};
+  const missing = [];
+  
+  for (const field of schema.fields) {
+    const mapped = columnMapping[field.name];
+    let index;
+    
+    if (Number.isInteger(mapped)) {
+      index = mapped;
+    } else if (typeof mapped === 'string') {
+      index = headerIndex.get(normalizeHeader(mapped));
+    } else {
+      index = [field.name, ...(field.aliases || [])]
+        .map(name => headerIndex.get(normalizeHeader(name)))
+        .find(candidate => candidate !== undefined);
+    }
+    
+    if (index !== undefined) {
+      columns[field.name] = index;
+    } else if (field.required) {
+      missing.push(mapped !== undefined ? `${field.name} (mapped to "${mapped}")` : field.name);
+    }
+  }
+  
+  if (missing.length > 0) {
+    throw new ColumnMappingError(
+      `Missing required columns: ${missing.join(', ')}. Found headers: ${headerValues.join(', ')}`
+    );
+  }
+  
+  return columns;
+}
+
+const IMPORT_MODES = ['insert', 'upsert', 'skip-duplicates'];
+
+class ImportOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportOptionsError';
+    this.statusCode = 400;
+  }
+}
+
+// Returns the import mode plus the list of fields that identify a record.
+// Keyed modes default to email when the schema has one.
+function normalizeImportOptions(schema, { importMode = 'insert', key } = {}) {
+  if (!IMPORT_MODES.includes(importMode)) {
+    throw new ImportOptionsError(`importMode must be one of: ${IMPORT_MODES.join(', ')}`);
+  }
+  
+  if (importMode === 'insert') {
+    if (key !== undefined) {
+      throw new ImportOptionsError('key only applies to the upsert and skip-duplicates modes');
+    }
+    return { importMode, importKey: [] };
+  }
+  
+  const fieldNames = schema.fields.map(field => field.name);
+  let importKey = key === undefined ? [] : [].concat(key);
+  
+  if (key === undefined && fieldNames.includes('email')) {
+    importKey = ['email'];
+  }
+  
+  if (importKey.length === 0) {
+    throw new ImportOptionsError(`key is required for ${importMode} on schema "${schema.name}"`);
+  }
+  
+  for (const field of importKey) {
+    if (!fieldNames.includes(field)) {
+      throw new ImportOptionsError(`key refers to unknown field "${field}"`);
+    }
+  }
+  
+  return { importMode, importKey };
+}
+
+// Builds the value stored in Record.recordKey. Single-field keys stay
+// readable; compound keys are encoded so "a|b" + "c" can't collide with
+// "a" + "b|c".
+function buildRecordKey(importKey, data) {
+  const parts = [];
+  
+  for (const field of importKey) {
+    const value = data[field];
+    
+    if (value === null || value === undefined) {
+      return {
+        error: {
+          field,
+          code: fieldErrorCode(field, 'REQUIRED'),
+          category: 'missingFields',
+          message: `${field} is required as the import key`
+        }
+      };
+    }
+    
+    parts.push(value instanceof Date ? value.toISOString() : String(value));
+  }
+  
+  return { recordKey: parts.length === 1 ? parts[0] : JSON.stringify(parts) };
+}
+
+function toCellString(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// JSON records carry their own keys, so each object is matched to the schema
+// the same way headers are (explicit mapping, then name and aliases) and
+// flattened into values in schema field order.
+function objectToValues(schema, object, columnMapping = {}) {
+  const keys = new Map();
+  for (const key of Object.keys(object)) {
+    const normalized = normalizeHeader(key);
+    if (!keys.has(normalized)) keys.set(normalized, key);
+  }
+  
+  return schema.fields.map((field) => {
+    const mapped = columnMapping[field.name];
+    const candidates = typeof mapped === 'string'
+      ? [mapped]
+      : [field.name, ...(field.aliases || [])];
+    const key = candidates
+      .map(name => keys.get(normalizeHeader(name)))
+      .find(candidate => candidate !== undefined);
+    
+    return key === undefined ? '' : toCellString(object[key]);
+  });
+}
+
+// Maps row values onto the schema fields using the resolved column indexes.
+// Returns the converted data plus every field-level error so a row can report
+// all of its problems.
+function validateRow(schema, values, columns = positionalColumns(schema)) {
+  const requiredColumns = schema.fields
+    .filter(field => field.required && columns[field.name] !== undefined)
+    .map(field => columns[field.name]);
+  const expected = requiredColumns.length > 0 ? Math.max(...requiredColumns) + 1 : 0;
+  
+  if (values.length < expected) {
+    return {
+      errors: [{
+        field: null,
+        code: ERROR_CODES.INSUFFICIENT_FIELDS,
+        category: 'malformedLine',
+        message: `Insufficient fields (expected at least ${expected}, got ${values.length})`
+      }]
+    };
+  }
+  
+  const data = {};
+  const errors = [];
+  
+  schema.fields.forEach((field) => {
+    const index = columns[field.name];
+    const result = validateField(field, index === undefined ? undefined : values[index]);
+    
+    if (result.error) {
+      errors.push({ field: field.name, ...result.error });
+    } else {
+      data[field.name] = result.value;
+    }
+  });
+  
+  return { data, errors };
+}
+
+function initialErrorCategories(schema) {
+  const categories = { missingFields: 0, malformedLine: 0 };
+  
+  for (const field of schema.fields) {
+    categories[`invalid${capitalize(field.name)}`] = 0;
+  }
+  
+  categories.dbWriteFailed = 0;
+  categories.other = 0;
+  return categories;
+}
+
+// Registered schemas belong to one tenant; the built-in one is shared.
+async function findImportSchema(name, tenantId) {
+  if (!name || name === DEFAULT_SCHEMA.name) {
+    return DEFAULT_SCHEMA;
+  }
+  
+  const schema = await ImportSchema.findOne({ tenantId, name }, { _id: 0, __v: 0, tenantId: 0 }).lean();
+  
+  return schema;
+}
+
+module.exports = {
+  DEFAULT_SCHEMA,
+  findImportSchema,
+  SchemaDefinitionError,
+  ColumnMappingError,
+  ImportOptionsError,
+  IMPORT_MODES,
+  normalizeImportOptions,
+  buildRecordKey,
+  validateSchemaDefinition,
+  validateColumnMapping,
+  resolveColumns,
+  objectToValues,
+  positionalColumns,
+  validateRow,
+  initialErrorCategories,
+  ERROR_CODES
+};
@@ -0,0 +1,79 @@
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ENETUNREACH',
+  'EHOSTUNREACH'
+]);
+
+const TRANSIENT_ERROR_NAMES = new Set([
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError',
+  'MongooseServerSelectionError',
+  'MongoWriteConcernError',
+  'TimeoutError',
+  'RequestTimeout',
+  'RequestTimeTooSkewed',
+  'SlowDown',
+  'ServiceUnavailable',
+  'InternalError',
+  'ThrottlingException'
+]);
+
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+class JobStateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobStateError';
+    this.statusCode = 409;
+  }
+}
+
+// Thrown from inside a running job when a pause or cancel was requested,
+// so the worker unwinds at a batch boundary instead of failing the job.
+class JobInterruptedError extends Error {
+  constructor(action, rollback = false) {
+    super(`Job ${action} requested`);
+    this.name = 'JobInterruptedError';
+    this.action = action;
+    this.rollback = rollback;
+  }
+}
+
+function classifyError(error) {
+  if (error instanceof PermanentJobError) return 'permanent';
+  
+  if (TRANSIENT_ERROR_CODES.has(error.code) || TRANSIENT_ERROR_NAMES.has(error.name)) {
+    return 'transient';
+  }
+  
+  // While disconnected, mongoose buffers commands and then fails them with
+  // a plain MongooseError instead of a driver network error.
+  if (error.name === 'MongooseError' && /buffering timed out/.test(error.message)) {
+    return 'transient';
+  }
+  
+  if (error.$retryable) return 'transient';
+  
+  const statusCode = error.$metadata && error.$metadata.httpStatusCode;
+  if (statusCode === 429 || statusCode >= 500) return 'transient';
+  
+  if (typeof error.hasErrorLabel === 'function' &&
+      (error.hasErrorLabel('RetryableWriteError') || error.hasErrorLabel('TransientTransactionError'))) {
+    return 'transient';
+  }
+  
+  return 'permanent';
+}
+
+module.exports = { PermanentJobError, JobStateError, JobInterruptedError, classifyError };
@@ -1,265 +1,1214 @@
 const Job = require('./models/Job');
 const Record = require('./models/Record');
-const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const RejectedRow = require('./models/RejectedRow');
 const { v4: uuidv4 } = require('uuid');
-const { Readable } = require('stream');
-const readline = require('readline');
+const EventEmitter = require('events');
+const os = require('os');
+const storage = require('./storage');
+const {
+  DEFAULT_SCHEMA,
+  resolveColumns,
+  objectToValues,
+  positionalColumns,
+  validateRow,
+  initialErrorCategories,
+  buildRecordKey,
+  ERROR_CODES
+} = require('./importSchemas');
+const { normalizeParserOptions } = require('./csvParser');
+const { FORMATS, createRecordReader } = require('./fileFormats');
+const { classifyError, JobStateError, JobInterruptedError } = require('./jobErrors');
+const { getTenantLimits } = require('./tenantLimits');
 
-class JobQueue {
+const TERMINAL_STATUSES = ['completed', 'failed', 'dead', 'cancelled'];
+
+// Server error codes for change streams.
+const CHANGE_STREAMS_UNSUPPORTED = 40573;
+const CHANGE_STREAM_HISTORY_LOST = 286;
+const INVALID_RESUME_TOKEN = 260;
+const CHANGE_STREAM_MIN_RETRY_MS = 1000;
+const CHANGE_STREAM_MAX_RETRY_MS = 60000;
+
+class JobQueue extends EventEmitter {
   constructor() {
-    this.isProcessing = false;
-    this.s3Client = new S3Client({
-      region: process.env.AWS_REGION,
-      credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-      }
-    });
+    super();
+    this.setMaxListeners(0);
+    this.maxConcurrentJobs = parseInt(process.env.MAX_CONCURRENT_JOBS) || 3;
+    this.pollIntervalMs = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 5000;
+    this.activeWorkers = 0;
+    this.workerCounter = 0;
+    this.instanceId = `${os.hostname()}-${process.pid}`;
+    this.heartbeatIntervalMs = parseInt(process.env.JOB_HEARTBEAT_INTERVAL_MS) || 10000;
+    this.staleJobTimeoutMs = parseInt(process.env.JOB_STALE_TIMEOUT_MS) || 60000;
+    this.maxRestarts = parseInt(process.env.JOB_MAX_RESTARTS) || 3;
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 5;
+    this.retryBaseDelayMs = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000;
+    this.retryMaxDelayMs = parseInt(process.env.JOB_RETRY_MAX_DELAY_MS) || 300000;
+    this.progressIntervalMs = parseInt(process.env.JOB_PROGRESS_INTERVAL_MS) || 2000;
+    this.lastClaimedTenant = null;
+    this.claimChain = Promise.resolve();
+    this.pollTimer = null;
+    this.reaperTimer = null;
+    this.changeStream = null;
+    this.changeStreamResumeToken = null;
+    this.changeStreamRetryDelayMs = CHANGE_STREAM_MIN_RETRY_MS;
+    this.changeStreamRetryTimer = null;
   }
 
-  async enqueueJob(fileId, fileName) {
+  async enqueueJob(fileId, fileName, {
+    tenantId,
+    importSchema = DEFAULT_SCHEMA,
+    columnMapping,
+    hasHeader = true,
+    format = 'csv',
+    importMode = 'insert',
+    importKey = [],
+    dryRun = false,
+    previewLimit = 10,
+    priority = 0,
+    parserOptions = normalizeParserOptions({}, fileName)
+  } = {}) {
     const jobId = uuidv4();
     
+    // The schema is copied onto the job so later edits to a registered
+    // schema cannot change how a queued or resumed job validates rows.
     const job = new Job({
       jobId,
+      tenantId,
       fileId,
       fileName,
-      status: 'pending'
+      status: 'pending',
+      maxAttempts: this.maxAttempts,
+      schemaName: importSchema.name,
+      importSchema,
+      columnMapping,
+      hasHeader,
+      format,
+      importMode,
+      importKey,
+      dryRun,
+      previewLimit,
+      priority,
+      parserOptions
     });
     
     await job.save();
     
-    if (!this.isProcessing) {
-      this.processQueue();
-    }
+    this.emitJobEvent({ type: 'status', jobId, status: 'pending' });
+    
+    this.startWorkers();
     
     return job;
   }
 
-  async processQueue() {
-    if (this.isProcessing) return;
+  start() {
+    if (this.pollTimer) return;
     
-    this.isProcessing = true;
+    // Other instances may enqueue into the same collection, so poll for
+    // pending work instead of relying only on local enqueue calls.
+    this.pollTimer = setInterval(() => this.startWorkers(), this.pollIntervalMs);
+    this.pollTimer.unref();
     
-    while (true) {
-      const job = await Job.findOne({ status: 'pending' }).sort({ createdAt: 1 });
+    this.reaperTimer = setInterval(() => {
+      this.recoverStaleJobs().catch(error => console.error('Job recovery failed:', error));
+    }, this.staleJobTimeoutMs);
+    this.reaperTimer.unref();
+    
+    this.watchJobChanges();
+    
+    this.recoverStaleJobs()
+      .catch(error => console.error('Startup job recovery failed:', error))
+      .finally(() => this.startWorkers());
+  }
+
+  isTerminalStatus(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  // Change streams surface updates made by every instance sharing the
+  // collection. They need a replica set, so on a standalone server we fall
+  // back to emitting only the updates this process makes itself. Any other
+  // error reopens the stream with a backoff, resuming after the last change
+  // seen; local events cover the gap.
+  watchJobChanges() {
+    if (this.changeStream) return;
+    
+    const options = { fullDocument: 'updateLookup' };
+    if (this.changeStreamResumeToken) {
+      options.resumeAfter = this.changeStreamResumeToken;
+    }
+    
+    try {
+      this.changeStream = Job.watch(
+        [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }],
+        options
+      );
+    } catch (error) {
+      console.warn('Job change stream unavailable, using local events only:', error.message);
+      this.changeStream = null;
+      return;
+    }
+    
+    this.changeStream.on('change', change => {
+      this.changeStreamResumeToken = change._id;
+      this.changeStreamRetryDelayMs = CHANGE_STREAM_MIN_RETRY_MS;
+      this.handleJobChange(change);
+    });
+    
+    this.changeStream.on('error', error => {
+      this.changeStream.close().catch(() => {});
+      this.changeStream = null;
+      
+      if (error.code === CHANGE_STREAMS_UNSUPPORTED) {
+        console.warn('Job change stream unavailable, using local events only:', error.message);
+        return;
+      }
       
-      if (!job) {
-        this.isProcessing = false;
-        break;
+      // The oplog has moved past the resume point; carry on from now.
+      if (error.code === CHANGE_STREAM_HISTORY_LOST || error.code === INVALID_RESUME_TOKEN) {
+        this.changeStreamResumeToken = null;
       }
       
-      await this.processJob(job);
+      const delayMs = this.changeStreamRetryDelayMs;
+      this.changeStreamRetryDelayMs = Math.min(delayMs * 2, CHANGE_STREAM_MAX_RETRY_MS);
+      
+      console.warn(`Job change stream closed (${error.message}); reopening in ${delayMs}ms`);
+      
+      this.changeStreamRetryTimer = setTimeout(() => {
+        this.changeStreamRetryTimer = null;
+        this.watchJobChanges();
+      }, delayMs);
+      this.changeStreamRetryTimer.unref();
+    });
+  }
+
+  handleJobChange(change) {
+    const job = change.fullDocument;
+    if (!job) return;
+    
+    const updatedFields = change.operationType === 'update'
+      ? Object.keys(change.updateDescription.updatedFields)
+      : null;
+    
+    if (!updatedFields || updatedFields.includes('status')) {
+      this.emit('job', {
+        type: 'status',
+        jobId: job.jobId,
+        status: job.status,
+        progress: job.progress,
+        result: job.result,
+        error: job.error
+      });
+    } else if (updatedFields.some(field => field.startsWith('progress'))) {
+      this.emit('job', {
+        type: 'progress',
+        jobId: job.jobId,
+        progress: job.progress,
+        progressDetails: job.progressDetails
+      });
     }
   }
 
-  async processJob(job) {
+  emitJobEvent(event) {
+    if (this.changeStream) return;
+    
+    this.emit('job', event);
+  }
+
+  stop() {
+    if (this.changeStreamRetryTimer) {
+      clearTimeout(this.changeStreamRetryTimer);
+      this.changeStreamRetryTimer = null;
+    }
+    if (this.changeStream) {
+      this.changeStream.close().catch(() => {});
+      this.changeStream = null;
+    }
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.reaperTimer) {
+      clearInterval(this.reaperTimer);
+      this.reaperTimer = null;
+    }
+  }
+
+  async recoverStaleJobs() {
+    const now = new Date();
+    const staleFilter = {
+      status: 'processing',
+      lastHeartbeat: { $lt: new Date(now.getTime() - this.staleJobTimeoutMs) }
+    };
+    
+    const failed = await Job.updateMany(
+      { ...staleFilter, restartCount: { $gte: this.maxRestarts } },
+      {
+        $set: {
+          status: 'failed',
+          completedAt: now,
+          error: `Job abandoned after ${this.maxRestarts} restarts: worker stopped sending heartbeats`
+        },
+        $unset: { workerId: 1 }
+      }
+    );
+    
+    const recovered = await Job.updateMany(
+      staleFilter,
+      {
+        $set: { status: 'pending', recoveredAt: now },
+        $inc: { restartCount: 1 },
+        $unset: { workerId: 1 }
+      }
+    );
+    
+    if (failed.modifiedCount > 0 || recovered.modifiedCount > 0) {
+      console.log(`Job recovery: ${recovered.modifiedCount} requeued, ${failed.modifiedCount} failed after max restarts`);
+    }
+    
+    if (recovered.modifiedCount > 0) {
+      this.startWorkers();
+    }
+    
+    return { recovered: recovered.modifiedCount, failed: failed.modifiedCount };
+  }
+
+  startWorkers() {
+    while (this.activeWorkers < this.maxConcurrentJobs) {
+      const workerId = `${this.instanceId}-w${++this.workerCounter}`;
+      this.activeWorkers++;
+      
+      this.runWorker(workerId)
+        .catch(error => console.error(`Worker ${workerId} crashed:`, error))
+        .finally(() => {
+          this.activeWorkers--;
+        });
+    }
+  }
+
+  async runWorker(workerId) {
+    while (true) {
+      const job = await this.claimNextJob(workerId);
+      
+      if (!job) break;
+      
+      await this.processJob(job, workerId);
+    }
+  }
+
+  // Workers start together, so claims within this instance run one at a
+  // time; otherwise they would all read the same running counts and pass a
+  // tenant's concurrency limit at once.
+  claimNextJob(workerId) {
+    const claim = this.claimChain.then(() => this.claimFairly(workerId));
+    this.claimChain = claim.catch(() => {});
+    return claim;
+  }
+
+  // Claims rotate across tenants so one tenant's backlog can't starve the
+  // rest: the tenant with the fewest running jobs goes first, ties go
+  // round-robin, and tenants at their concurrency limit are skipped.
+  // Priority only orders jobs within a tenant. Separate instances can still
+  // race for a tenant's last slot, so with N instances the limit can be
+  // overshot by up to N - 1.
+  async claimFairly(workerId) {
+    const ready = { status: 'pending', runAt: { $lte: new Date() } };
+    
+    const waiting = await Job.aggregate([
+      { $match: ready },
+      { $group: { _id: '$tenantId' } }
+    ]);
+    
+    if (waiting.length === 0) return null;
+    
+    const running = await Job.aggregate([
+      { $match: { status: 'processing' } },
+      { $group: { _id: '$tenantId', count: { $sum: 1 } } }
+    ]);
+    const runningCounts = new Map(running.map(({ _id, count }) => [_id, count]));
+    const runningCount = tenantId => runningCounts.get(tenantId) || 0;
+    
+    // Jobs from before tenants existed group under null.
+    const name = tenantId => tenantId || '';
+    const afterLastClaimed = tenantId => (name(tenantId) > name(this.lastClaimedTenant) ? 0 : 1);
+    
+    const tenants = waiting
+      .map(({ _id }) => _id)
+      .filter(tenantId => runningCount(tenantId) < getTenantLimits(tenantId).maxConcurrentJobs)
+      .sort((a, b) => (
+        runningCount(a) - runningCount(b) ||
+        afterLastClaimed(a) - afterLastClaimed(b) ||
+        name(a).localeCompare(name(b))
+      ));
+    
+    for (const tenantId of tenants) {
+      const job = await Job.findOneAndUpdate(
+        { ...ready, tenantId },
+        {
+          $set: { status: 'processing', workerId, startedAt: new Date(), lastHeartbeat: new Date() },
+          $inc: { attempts: 1 }
+        },
+        { sort: { priority: -1, createdAt: 1 }, new: true }
+      );
+      
+      if (job) {
+        this.lastClaimedTenant = tenantId;
+        this.emitJobEvent({ type: 'status', jobId: job.jobId, status: 'processing' });
+        return job;
+      }
+    }
+    
+    return null;
+  }
+
+  startHeartbeat(job, workerId) {
+    const timer = setInterval(async () => {
+      try {
+        const { matchedCount } = await Job.updateOne(
+          { jobId: job.jobId, workerId, status: 'processing' },
+          { $set: { lastHeartbeat: new Date() } }
+        );
+        
+        if (matchedCount === 0) {
+          console.warn(`Worker ${workerId} no longer owns job ${job.jobId}`);
+        }
+      } catch (error) {
+        console.error(`Heartbeat failed for job ${job.jobId}:`, error.message);
+      }
+    }, this.heartbeatIntervalMs);
+    
+    timer.unref();
+    return timer;
+  }
+
+  // Final state writes are conditional on ownership so a worker that was
+  // presumed dead and reaped cannot overwrite the job after it was requeued.
+  async updateOwnedJob(job, workerId, update, extra = {}) {
+    const { matchedCount } = await Job.updateOne(
+      { jobId: job.jobId, workerId, status: 'processing' },
+      { $set: update, ...extra }
+    );
+    
+    if (matchedCount === 0) {
+      console.warn(`Skipped update for job ${job.jobId}: worker ${workerId} no longer owns it`);
+      return false;
+    }
+    
+    if (update.status) {
+      this.emitJobEvent({
+        type: 'status',
+        jobId: job.jobId,
+        status: update.status,
+        progress: update.progress,
+        result: update.result,
+        error: update.error
+      });
+    } else if (update.progress !== undefined) {
+      this.emitJobEvent({
+        type: 'progress',
+        jobId: job.jobId,
+        progress: update.progress,
+        progressDetails: update.progressDetails
+      });
+    }
+    
+    return true;
+  }
+
+  async processJob(job, workerId) {
+    const heartbeat = this.startHeartbeat(job, workerId);
+    
     try {
-      console.log(`Processing job ${job.jobId} for file ${job.fileName}`);
+      console.log(`Worker ${workerId} processing job ${job.jobId} for file ${job.fileName}`);
       
-      job.status = 'processing';
-      job.startedAt = new Date();
-      await job.save();
+      const { seekable } = FORMATS[job.format || 'csv'];
+      const resumeLine = (job.checkpoint && job.checkpoint.lineNumber) || 0;
+      const startOffset = seekable ? (job.checkpoint && job.checkpoint.byteOffset) || 0 : 0;
       
-      const fileContent = await this.downloadFromS3(job.fileName);
+      if (resumeLine > 0) {
+        console.log(`Resuming job ${job.jobId} after line ${resumeLine}` +
+          (seekable ? ` (byte ${startOffset})` : ' (re-reading from the start)'));
+      }
       
-      const result = await this.processFileContent(fileContent, job.fileId);
+      const { stream, totalBytes } = await storage.getStream(job.fileName, { start: startOffset });
       
-      job.status = 'completed';
-      job.completedAt = new Date();
-      job.result = result;
-      await job.save();
+      const result = await this.processFileContent(stream, job, workerId, totalBytes);
+      
+      const completedAt = new Date();
+      
+      await this.updateOwnedJob(job, workerId, {
+        status: 'completed',
+        completedAt,
+        progress: 100,
+        'progressDetails.etaSeconds': 0,
+        result
+      }, {
+        $unset: { controlRequest: 1 },
+        $push: { attemptHistory: this.buildAttemptEntry(job, workerId, 'completed', completedAt) }
+      });
       
       console.log(`Job ${job.jobId} completed successfully`);
       
     } catch (error) {
-      console.error(`Job ${job.jobId} failed:`, error);
+      if (error instanceof JobInterruptedError) {
+        await this.handleJobInterruption(job, workerId, error);
+      } else {
+        await this.handleJobFailure(job, workerId, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async handleJobInterruption(job, workerId, interruption) {
+    const now = new Date();
+    
+    if (interruption.action === 'pause') {
+      console.log(`Job ${job.jobId} paused by request`);
       
-      job.status = 'failed';
-      job.completedAt = new Date();
-      job.error = error.message;
-      await job.save();
+      // A pause is not a failed attempt, so hand the claimed attempt back.
+      await this.updateOwnedJob(job, workerId, {
+        status: 'paused',
+        pausedAt: now
+      }, {
+        $unset: { workerId: 1, controlRequest: 1 },
+        $inc: { attempts: -1 },
+        $push: { attemptHistory: this.buildAttemptEntry(job, workerId, 'paused', now) }
+      });
+      return;
+    }
+    
+    console.log(`Job ${job.jobId} cancelled by request`);
+    
+    const updated = await this.updateOwnedJob(job, workerId, {
+      status: 'cancelled',
+      cancelledAt: now,
+      completedAt: now
+    }, {
+      $unset: { controlRequest: 1 },
+      $push: { attemptHistory: this.buildAttemptEntry(job, workerId, 'cancelled', now) }
+    });
+    
+    if (updated && interruption.rollback) {
+      await this.rollbackJobRecords(job.jobId);
     }
   }
 
-async downloadFromS3(fileName) {
-  const command = new GetObjectCommand({
-    Bucket: process.env.AWS_BUCKET_NAME,
-    Key: fileName
-  });
-  
-  const response = await this.s3Client.send(command);
-  return response.Body; 
-}
+  async checkControlRequest(job) {
+    const current = await Job.findOne(
+      { jobId: job.jobId },
+      { controlRequest: 1, rollbackOnCancel: 1 }
+    ).lean();
+    
+    if (current && current.controlRequest) {
+      throw new JobInterruptedError(current.controlRequest, current.rollbackOnCancel);
+    }
+  }
+
+  async cancelJob(jobId, { rollback = false } = {}) {
+    const now = new Date();
+    
+    let job = await Job.findOneAndUpdate(
+      { jobId, status: { $in: ['pending', 'paused'] } },
+      {
+        $set: { status: 'cancelled', cancelledAt: now, completedAt: now },
+        $unset: { controlRequest: 1 }
+      },
+      { new: true }
+    );
+    
+    if (job) {
+      this.emitJobEvent({ type: 'status', jobId, status: 'cancelled' });
+      
+      // Retried or paused jobs may already have committed batches.
+      if (rollback) {
+        await this.rollbackJobRecords(jobId);
+      }
+      
+      return { job, immediate: true };
+    }
+    
+    job = await Job.findOneAndUpdate(
+      { jobId, status: 'processing' },
+      { $set: { controlRequest: 'cancel', rollbackOnCancel: rollback } },
+      { new: true }
+    );
+    
+    if (job) {
+      return { job, immediate: false };
+    }
+    
+    return this.rejectStateChange(jobId, 'cancel');
+  }
 
- async processFileContent(fileStream, fileId) {
-  let totalLines = 0;
-  let successfulInserts = 0;
-  let failedLines = 0;
-  const errors = [];
+  async pauseJob(jobId) {
+    let job = await Job.findOneAndUpdate(
+      { jobId, status: 'pending' },
+      { $set: { status: 'paused', pausedAt: new Date() } },
+      { new: true }
+    );
+    
+    if (job) {
+      this.emitJobEvent({ type: 'status', jobId, status: 'paused' });
+      return { job, immediate: true };
+    }
+    
+    job = await Job.findOneAndUpdate(
+      { jobId, status: 'processing', controlRequest: { $ne: 'cancel' } },
+      { $set: { controlRequest: 'pause' } },
+      { new: true }
+    );
+    
+    if (job) {
+      return { job, immediate: false };
+    }
+    
+    return this.rejectStateChange(jobId, 'pause');
+  }
+
+  async resumeJob(jobId) {
+    let job = await Job.findOneAndUpdate(
+      { jobId, status: 'paused' },
+      { $set: { status: 'pending', runAt: new Date() }, $unset: { pausedAt: 1 } },
+      { new: true }
+    );
+    
+    if (job) {
+      this.emitJobEvent({ type: 'status', jobId, status: 'pending' });
+      this.startWorkers();
+      return { job, immediate: true };
+    }
+    
+    // A pause that has not reached a batch boundary yet can simply be withdrawn.
+    job = await Job.findOneAndUpdate(
+      { jobId, status: 'processing', controlRequest: 'pause' },
+      { $unset: { controlRequest: 1 } },
+      { new: true }
+    );
+    
+    if (job) {
+      return { job, immediate: true };
+    }
+    
+    return this.rejectStateChange(jobId, 'resume');
+  }
+
+  async rejectStateChange(jobId, action) {
+    const job = await Job.findOne({ jobId });
+    
+    if (!job) return null;
+    
+    throw new JobStateError(`Cannot ${action} job in status '${job.status}'`);
+  }
+
+  // Records are matched on jobId, which upserts only set on insert, so this
+  // removes exactly what the job created and leaves records it merely
+  // updated in place.
+  async rollbackJobRecords(jobId, { source = 'cancel', requestedBy, reason, fileDeleted } = {}) {
+    const { deletedCount } = await Record.deleteMany({ jobId });
+    
+    await Job.updateOne(
+      { jobId },
+      {
+        $push: {
+          rollbacks: {
+            deletedRecords: deletedCount,
+            source,
+            requestedBy,
+            reason,
+            fileDeleted,
+            completedAt: new Date()
+          }
+        }
+      }
+    );
+    
+    console.log(`Rolled back ${deletedCount} records for job ${jobId} (${source})`);
+    
+    return deletedCount;
+  }
+
+  // Running jobs have to be cancelled with rollback instead, so records
+  // can't be inserted behind the delete.
+  async rollbackJob(jobId, audit = {}) {
+    const job = await Job.findOne({ jobId });
+    
+    if (!job) return null;
+    
+    if (!this.isTerminalStatus(job.status)) {
+      throw new JobStateError(`Cannot roll back job in status '${job.status}'; cancel it with rollback instead`);
+    }
+    
+    const deletedRecords = await this.rollbackJobRecords(jobId, { ...audit, source: 'rollback' });
+    const { rollbacks } = await Job.findOne({ jobId }, { rollbacks: 1 }).lean();
+    
+    return { deletedRecords, rollback: rollbacks[rollbacks.length - 1] };
+  }
+
+  async handleJobFailure(job, workerId, error) {
+    const errorType = classifyError(error);
+    const attempts = job.attempts || 1;
+    const maxAttempts = job.maxAttempts || this.maxAttempts;
+    const finishedAt = new Date();
+    
+    if (errorType === 'transient' && attempts < maxAttempts) {
+      const delayMs = this.getRetryDelay(attempts);
+      const runAt = new Date(finishedAt.getTime() + delayMs);
+      
+      console.warn(`Job ${job.jobId} attempt ${attempts}/${maxAttempts} failed (${error.message}); retrying in ${Math.round(delayMs / 1000)}s`);
+      
+      await this.updateOwnedJob(job, workerId, {
+        status: 'pending',
+        runAt,
+        error: error.message
+      }, {
+        $unset: { workerId: 1, controlRequest: 1 },
+        $push: { attemptHistory: this.buildAttemptEntry(job, workerId, 'retry', finishedAt, error, errorType) }
+      });
+      return;
+    }
+    
+    const status = errorType === 'transient' ? 'dead' : 'failed';
+    
+    console.error(`Job ${job.jobId} ${status} after ${attempts} attempt(s):`, error);
+    
+    await this.updateOwnedJob(job, workerId, {
+      status,
+      completedAt: finishedAt,
+      error: error.message
+    }, {
+      $unset: { controlRequest: 1 },
+      $push: { attemptHistory: this.buildAttemptEntry(job, workerId, status, finishedAt, error, errorType) }
+    });
+  }
+
+  // Exponential backoff with "equal jitter": half the delay is fixed, the
+  // other half random, so retries from a shared outage spread out.
+  getRetryDelay(attempts) {
+    const exponential = Math.min(
+      this.retryMaxDelayMs,
+      this.retryBaseDelayMs * Math.pow(2, attempts - 1)
+    );
+    
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  buildAttemptEntry(job, workerId, outcome, finishedAt, error, errorType) {
+    return {
+      attempt: job.attempts,
+      workerId,
+      startedAt: job.startedAt,
+      finishedAt,
+      outcome,
+      error: error ? error.message : undefined,
+      errorType
+    };
+  }
+
+ async processFileContent(fileStream, job, workerId, totalBytes) {
+  const checkpoint = job.checkpoint || {};
+  const fileId = job.fileId;
+  const schema = job.importSchema || DEFAULT_SCHEMA;
+  
+  let totalLines = checkpoint.totalLines || 0;
+  let successfulInserts = checkpoint.successfulInserts || 0;
+  let failedLines = checkpoint.failedLines || 0;
+  let updatedRecords = checkpoint.updatedRecords || 0;
+  let skippedDuplicates = checkpoint.skippedDuplicates || 0;
+  let lineNumber = checkpoint.lineNumber || 0;
+  const format = job.format || 'csv';
+  const { seekable, tabular } = FORMATS[format];
+  
+  // Non-seekable formats are re-read from the start on resume, skipping
+  // everything up to the checkpointed line.
+  let byteOffset = seekable ? checkpoint.byteOffset || 0 : 0;
+  const skipThroughLine = seekable ? 0 : lineNumber;
+  const errors = checkpoint.errors ? [...checkpoint.errors] : [];
   const errorCategories = {
-    missingFields: 0,
-    invalidEmail: 0,
-    invalidAge: 0,
-    malformedLine: 0,
-    other: 0
+    ...initialErrorCategories(schema),
+    ...checkpoint.errorCategories
   };
+  const fieldErrors = { ...checkpoint.fieldErrors };
+  const errorCodes = { ...checkpoint.errorCodes };
+  const duplicates = { withinFile: 0, existing: 0, ...checkpoint.duplicates };
+  const dryRun = job.dryRun === true;
+  const previewLimit = job.previewLimit === undefined ? 10 : job.previewLimit;
+  const preview = checkpoint.preview ? [...checkpoint.preview] : [];
+  
+  const importMode = job.importMode || 'insert';
+  const importKey = job.importKey || [];
+  const keyed = importMode !== 'insert';
+  // Keys seen in this attempt. After a resume, earlier rows are found in
+  // the database instead and are counted as existing duplicates.
+  const seenKeys = new Set();
+  
+  // Records from a batch that was inserted but not checkpointed before the
+  // previous attempt died would otherwise be inserted a second time.
+  const { deletedCount } = await Record.deleteMany({
+    jobId: job.jobId,
+    sourceLine: { $gt: lineNumber }
+  });
+  
+  if (deletedCount > 0) {
+    console.log(`Removed ${deletedCount} uncommitted records from previous attempt of job ${job.jobId}`);
+  }
+  
+  await RejectedRow.deleteMany({ jobId: job.jobId, line: { $gt: lineNumber } });
   
   const batch = [];
+  const batchSources = [];
+  const rejected = [];
   const BATCH_SIZE = 100;
+  // Counted in rows read rather than records batched, so a long run of
+  // skipped duplicates or blank lines still checkpoints and still notices
+  // pause/cancel requests.
+  let rowsSinceFlush = 0;
   
-  let isFirstLine = true;
-
-  const rl = readline.createInterface({
-    input: fileStream,
-    crlfDelay: Infinity
-  });
+  const hasHeader = tabular && job.hasHeader !== false;
+  const columnMapping = job.columnMapping || {};
+  let awaitingHeader = hasHeader && lineNumber === 0;
+  
+  // A resumed job has already read the header, so reuse what it resolved.
+  // JSON records are flattened into schema field order, so they map 1:1.
+  let columns;
+  if (!tabular) {
+    columns = positionalColumns(schema);
+  } else if (hasHeader) {
+    columns = awaitingHeader ? null : job.resolvedColumns;
+  } else {
+    columns = resolveColumns(schema, [], { columnMapping, hasHeader: false });
+  }
 
-  for await (const line of rl) {
-    if (isFirstLine) {
-      isFirstLine = false;
-      continue;
+  const saveCheckpoint = async () => {
+    const owned = await this.updateOwnedJob(job, workerId, {
+      checkpoint: {
+        byteOffset,
+        lineNumber,
+        totalLines,
+        successfulInserts,
+        updatedRecords,
+        skippedDuplicates,
+        duplicates,
+        failedLines,
+        errorCategories,
+        fieldErrors,
+        errorCodes,
+        errors,
+        preview,
+        updatedAt: new Date()
+      }
+    });
+    
+    if (!owned) {
+      throw new Error('Job ownership lost while processing; stopping to avoid duplicate inserts');
     }
+  };
 
-    const trimmedLine = line.trim();
+  // Every rejected row goes through here so the counters, the sample kept
+  // on the job and the persisted report always agree.
+  const recordFailure = ({ line, values, rawRow }, rowErrors) => {
+    failedLines++;
     
-    if (!trimmedLine || trimmedLine === ',,,') {
-      continue;
+    for (const rowError of rowErrors) {
+      errorCategories[rowError.category] = (errorCategories[rowError.category] || 0) + 1;
+      errorCodes[rowError.code] = (errorCodes[rowError.code] || 0) + 1;
+      
+      if (rowError.field) {
+        fieldErrors[rowError.field] = (fieldErrors[rowError.field] || 0) + 1;
+      }
     }
-
-    totalLines++;
-
+    
+    const message = rowErrors.map(rowError => rowError.message).join('; ');
+    const fields = rowErrors.map(({ field, code, category, message }) => ({ field, code, category, message }));
+    
+    rejected.push({
+      jobId: job.jobId,
+      tenantId: job.tenantId,
+      fileId,
+      line,
+      values: tabular ? values : undefined,
+      raw: tabular ? undefined : rawRow,
+      error: message,
+      fields
+    });
+    
+    if (errors.length < 50) {
+      errors.push({
+        line, 
+        error: message,
+        fields: fields.map(({ field, code, message }) => ({ field, code, message })),
+        data: rawRow.substring(0, 100) 
+      });
+    }
+    
+    console.log(`✗ Line ${line} failed: ${message}`);
+  };
+  
+  // A document the database refuses (size limit, index violation, ...) is
+  // reported against its row instead of failing the whole batch. Transient
+  // errors still propagate so the job is retried.
+  const insertBatch = async () => {
     try {
-      const fields = this.parseCSVLine(trimmedLine);
+      await Record.insertMany(batch);
+      successfulInserts += batch.length;
+      return;
+    } catch (error) {
+      if (classifyError(error) === 'transient') throw error;
       
-      if (fields.length < 2) {
-        errorCategories.malformedLine++;
-        throw new Error('Insufficient fields (need at least name and email)');
+      console.log(`⚠ Batch insert failed (${error.message}); retrying documents one by one`);
+    }
+    
+    // An ordered insertMany may have written a prefix of the batch.
+    await Record.deleteMany({
+      jobId: job.jobId,
+      sourceLine: { $in: batch.map(doc => doc.sourceLine) }
+    });
+    
+    for (let i = 0; i < batch.length; i++) {
+      try {
+        await Record.create(batch[i]);
+        successfulInserts++;
+      } catch (error) {
+        if (classifyError(error) === 'transient') throw error;
+        
+        recordFailure(batchSources[i], [{
+          field: null,
+          code: ERROR_CODES.DB_WRITE_FAILED,
+          category: 'dbWriteFailed',
+          message: `Database write failed: ${error.message}`
+        }]);
       }
+    }
+  };
+  
+  // Keyed modes write through upserts on the unique (tenantId, schemaName,
+  // recordKey) index. Only creation-time fields go in $setOnInsert, so an upsert never
+  // takes over another job's record and rollback/resume by jobId stay safe.
+  const keyedWrite = (doc) => {
+    const filter = { tenantId: doc.tenantId, schemaName: doc.schemaName, recordKey: doc.recordKey };
+    
+    if (importMode === 'upsert') {
+      const { data, processedAt, ...insertOnly } = doc;
+      return {
+        updateOne: {
+          filter,
+          update: { $set: { data, processedAt, lastJobId: job.jobId }, $setOnInsert: insertOnly },
+          upsert: true
+        }
+      };
+    }
+    
+    return { updateOne: { filter, update: { $setOnInsert: doc }, upsert: true } };
+  };
+  
+  const writeKeyedBatch = async () => {
+    const failed = new Map();
+    let result;
+    
+    try {
+      result = await Record.bulkWrite(batch.map(keyedWrite), { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors || classifyError(error) === 'transient') throw error;
       
-      const [name, email, age, department] = fields;
-      
-      if (!name || name.trim() === '') {
-        errorCategories.missingFields++;
-        throw new Error('Name is required');
+      result = error.result;
+      for (const writeError of [].concat(error.writeErrors)) {
+        failed.set(writeError.index, writeError.errmsg);
       }
-      
-      if (!email || email.trim() === '') {
-        errorCategories.missingFields++;
-        throw new Error('Email is required');
+    }
+    
+    const inserted = new Set(Object.keys(result.upsertedIds || {}).map(Number));
+    
+    batch.forEach((doc, i) => {
+      if (failed.has(i)) {
+        recordFailure(batchSources[i], [{
+          field: null,
+          code: ERROR_CODES.DB_WRITE_FAILED,
+          category: 'dbWriteFailed',
+          message: `Database write failed: ${failed.get(i)}`
+        }]);
+      } else if (inserted.has(i)) {
+        successfulInserts++;
+      } else {
+        countMatchedKey(batchSources[i]);
       }
-      
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(email.trim())) {
-        errorCategories.invalidEmail++;
-        throw new Error(`Invalid email format: ${email}`);
+    });
+  };
+  
+  const countMatchedKey = ({ duplicateInFile }) => {
+    if (!duplicateInFile) duplicates.existing++;
+    
+    if (importMode === 'upsert') {
+      updatedRecords++;
+    } else {
+      skippedDuplicates++;
+    }
+  };
+  
+  // Dry runs never write records; keyed modes look the keys up instead so
+  // the duplicate counts match what a real run would report.
+  const simulateBatch = async () => {
+    if (!keyed) {
+      successfulInserts += batch.length;
+      return;
+    }
+    
+    const existing = await Record.find(
+      { tenantId: job.tenantId, schemaName: schema.name, recordKey: { $in: batch.map(doc => doc.recordKey) } },
+      { recordKey: 1 }
+    ).lean();
+    const existingKeys = new Set(existing.map(doc => doc.recordKey));
+    
+    batch.forEach((doc, i) => {
+      if (existingKeys.has(doc.recordKey) || batchSources[i].duplicateInFile) {
+        countMatchedKey(batchSources[i]);
+      } else {
+        successfulInserts++;
       }
-      
-      let parsedAge = null;
-      if (age && age.trim() !== '') {
-        parsedAge = parseInt(age.trim());
-        if (isNaN(parsedAge)) {
-          errorCategories.invalidAge++;
-          throw new Error(`Invalid age format: "${age}" is not a number`);
-        }
-        if (parsedAge < 0 || parsedAge > 150) {
-          errorCategories.invalidAge++;
-          throw new Error(`Invalid age value: ${parsedAge} (must be 0-150)`);
-        }
+    });
+  };
+  
+  // Rejected rows are committed with the same checkpoint as the records so a
+  // resumed job reports each bad row exactly once.
+  const flushBatch = async () => {
+    if (batch.length > 0) {
+      if (dryRun) {
+        await simulateBatch();
+      } else {
+        await (keyed ? writeKeyedBatch() : insertBatch());
       }
-      
-      const record = {
-        name: name.trim(),
-        email: email.trim().toLowerCase(),
-        age: parsedAge,
-        department: department ? department.trim() : null,
-        uploadedFileId: fileId,
-        processedAt: new Date()
-      };
-      
-      batch.push(record);
-      
-      if (batch.length >= BATCH_SIZE) {
-        await Record.insertMany(batch);
-        successfulInserts += batch.length;
-        console.log(`✓ Inserted batch: ${successfulInserts} records processed`);
-        batch.length = 0;
+      batch.length = 0;
+      batchSources.length = 0;
+    }
+    
+    if (rejected.length > 0) {
+      await RejectedRow.insertMany(rejected);
+      rejected.length = 0;
+    }
+    
+    rowsSinceFlush = 0;
+    await saveCheckpoint();
+  };
+
+  const attemptStartedAt = Date.now();
+  const attemptStartOffset = byteOffset;
+  const attemptStartRows = totalLines;
+  let lastProgressAt = attemptStartedAt;
+
+  const reportProgress = async () => {
+    const now = Date.now();
+    if (now - lastProgressAt < this.progressIntervalMs) return;
+    lastProgressAt = now;
+    
+    const elapsedSec = (now - attemptStartedAt) / 1000;
+    const bytesPerSec = (byteOffset - attemptStartOffset) / elapsedSec;
+    const rowsPerSec = Math.round((totalLines - attemptStartRows) / elapsedSec);
+    const percentage = totalBytes > 0
+      ? Math.min(99, Math.floor((byteOffset / totalBytes) * 100))
+      : 0;
+    const etaSeconds = totalBytes > 0 && bytesPerSec > 0
+      ? Math.round((totalBytes - byteOffset) / bytesPerSec)
+      : null;
+    
+    await this.updateOwnedJob(job, workerId, {
+      progress: percentage,
+      progressDetails: {
+        bytesRead: byteOffset,
+        totalBytes,
+        rowsProcessed: totalLines,
+        rowsPerSec,
+        etaSeconds,
+        updatedAt: new Date(now)
       }
+    });
+  };
+
+  const parserOptions = job.parserOptions || normalizeParserOptions({}, job.fileName);
+  const records = createRecordReader(format, fileStream, {
+    parserOptions,
+    startOffset: byteOffset,
+    startLine: seekable ? lineNumber + 1 : 1
+  });
+
+  for await (const record of records) {
+    if (record.line <= skipThroughLine) {
+      continue;
+    }
+    
+    // Flush before taking this record's position, so the checkpoint only
+    // covers rows that have been fully handled.
+    if (rowsSinceFlush >= BATCH_SIZE) {
+      await flushBatch();
+      console.log(`✓ ${dryRun ? 'Validated' : 'Inserted'} batch: ${successfulInserts} records processed`);
+      await this.checkControlRequest(job);
+    }
+    
+    const { line, error: parseError } = record;
+    lineNumber = record.endLine;
+    byteOffset = record.endOffset;
+    rowsSinceFlush++;
+    
+    await reportProgress();
+
+    let values = record.values;
+    let rawRow;
+    let recordError = parseError;
+    
+    if (tabular) {
+      if (!parseError && values.every(value => value.trim() === '')) {
+        continue;
+      }
+      rawRow = values.join(parserOptions.delimiter || ',');
+    } else if (parseError) {
+      rawRow = record.raw;
+    } else {
+      const { object } = record;
+      rawRow = JSON.stringify(object);
       
-    } catch (error) {
-      failedLines++;
-      
-      if (!errorCategories.missingFields && 
-          !errorCategories.invalidEmail && 
-          !errorCategories.invalidAge && 
-          !errorCategories.malformedLine) {
-        errorCategories.other++;
+      if (object && typeof object === 'object' && !Array.isArray(object)) {
+        values = objectToValues(schema, object, columnMapping);
+      } else {
+        recordError = 'Expected a JSON object';
       }
+    }
+
+    if (awaitingHeader) {
+      awaitingHeader = false;
+      columns = resolveColumns(schema, values, { columnMapping });
+      await this.updateOwnedJob(job, workerId, { resolvedColumns: columns, sourceHeader: values });
+      continue;
+    }
+
+    totalLines++;
+    
+    const source = { line, values, rawRow };
+
+    try {
+      const { data, errors: rowErrors } = recordError
+        ? {
+          errors: [{
+            field: null,
+            code: ERROR_CODES.MALFORMED_LINE,
+            category: 'malformedLine',
+            message: recordError
+          }]
+        }
+        : validateRow(schema, values, columns);
       
-      if (errors.length < 50) {
-        errors.push({
-          line: totalLines + 1, 
-          error: error.message,
-          data: trimmedLine.substring(0, 100) 
+      const { recordKey, error: keyError } = rowErrors.length === 0 && keyed
+        ? buildRecordKey(importKey, data)
+        : {};
+      
+      if (rowErrors.length > 0 || keyError) {
+        recordFailure(source, keyError ? [keyError] : rowErrors);
+      } else if (keyed && seenKeys.has(recordKey) && importMode === 'skip-duplicates') {
+        duplicates.withinFile++;
+        skippedDuplicates++;
+        console.log(`↷ Line ${line} skipped: duplicate ${importKey.join('+')} within the file`);
+      } else {
+        // In upsert mode a repeated key is still written, so the last row wins.
+        const duplicateInFile = keyed && seenKeys.has(recordKey);
+        if (duplicateInFile) duplicates.withinFile++;
+        if (keyed) seenKeys.add(recordKey);
+        
+        batchSources.push({ ...source, duplicateInFile });
+        if (dryRun && preview.length < previewLimit) {
+          preview.push({ line, data });
+        }
+        
+        batch.push({
+          tenantId: job.tenantId,
+          schemaName: schema.name,
+          data,
+          uploadedFileId: fileId,
+          jobId: job.jobId,
+          sourceLine: line,
+          recordKey,
+          processedAt: new Date()
         });
       }
       
-      console.log(`✗ Line ${totalLines + 1} failed: ${error.message}`);
+    } catch (error) {
+      recordFailure(source, [{
+        field: null,
+        code: ERROR_CODES.UNEXPECTED_ERROR,
+        category: 'other',
+        message: error.message
+      }]);
     }
   }
   
-  if (batch.length > 0) {
-    await Record.insertMany(batch);
-    successfulInserts += batch.length;
-    console.log(`✓ Final batch inserted: ${successfulInserts} total records`);
+  if (batch.length > 0 || rejected.length > 0) {
+    await flushBatch();
+    console.log(`✓ Final batch ${dryRun ? 'validated' : 'inserted'}: ${successfulInserts} total records`);
   }
   
+  // A pause or cancel that arrived during the last batch still applies.
+  await this.checkControlRequest(job);
+  
+  // Updated and skipped duplicates were handled as asked, so they count
+  // as successes.
   const successRate = totalLines > 0 
-    ? Math.round((successfulInserts / totalLines) * 100) 
+    ? Math.round(((totalLines - failedLines) / totalLines) * 100) 
     : 0;
   
-  console.log(`\n📊 Processing Summary:`);
+  console.log(`\n📊 Processing Summary${dryRun ? ' (dry run, nothing written)' : ''}:`);
   console.log(`   Total lines: ${totalLines}`);
   console.log(`   Successful: ${successfulInserts} (${successRate}%)`);
+  if (keyed) {
+    console.log(`   Updated: ${updatedRecords}, skipped duplicates: ${skippedDuplicates}`);
+  }
   console.log(`   Failed: ${failedLines}`);
   console.log(`   Error breakdown:`, errorCategories);
   
   return {
     totalLines,
     successfulInserts,
+    updatedRecords,
+    skippedDuplicates,
+    duplicates,
     failedLines,
     successRate,
     errorCategories,
+    fieldErrors,
+    errorCodes,
     errors: errors.slice(0, 10), 
-    summary: `Processed ${successfulInserts}/${totalLines} records successfully (${successRate}% success rate)`
+    dryRun,
+    preview: dryRun ? preview : undefined,
+    summary: `${dryRun ? '[Dry run] ' : ''}Processed ${totalLines - failedLines}/${totalLines} records successfully (${successRate}% success rate)`
   };
 }
 
-parseCSVLine(line) {
-  const fields = [];
-  let currentField = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === ',' && !inQuotes) {
-      fields.push(currentField);
-      currentField = '';
-    } else {
-      currentField += char;
-    }
+  async getJobStatus(jobId, tenantId) {
+    return await Job.findOne({ jobId, tenantId });
   }
-  
-  fields.push(currentField);
-  
-  return fields;
-}
 
-  async getJobStatus(jobId) {
-    return await Job.findOne({ jobId });
+  // Job counts are the tenant's own; worker numbers are for the whole
+  // instance since workers are shared.
+  async getQueueStats(tenantId) {
+    const counts = await Job.aggregate([
+      { $match: { tenantId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    
+    const stats = {
+      activeWorkers: this.activeWorkers,
+      maxWorkers: this.maxConcurrentJobs,
+      pending: 0,
+      processing: 0,
+      paused: 0,
+      completed: 0,
+      failed: 0,
+      dead: 0,
+      cancelled: 0,
+      total: 0
+    };
+    
+    for (const { _id: status, count } of counts) {
+      stats[status] = count;
+      stats.total += count;
+    }
+    
+    return stats;
   }
 }
 
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const fileSchema = new mongoose.Schema({
+  fileId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tenantId: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  storageBackend: String,
+  originalName: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  mimeType: String,
+  format: {
+    type: String,
+    enum: ['csv', 'jsonl', 'json', 'xlsx']
+  },
+  checksum: {
+    algorithm: String,
+    value: String,
+    // True when the client sent X-Checksum-MD5 or X-Checksum-SHA256 and it matched.
+    verified: Boolean
+  },
+  uploadedBy: String,
+  uploaderIp: String,
+  status: {
+    type: String,
+    enum: ['uploading', 'uploaded', 'failed', 'deleted'],
+    default: 'uploading'
+  },
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  uploadedAt: Date,
+  deletedAt: Date
+});
+
+fileSchema.index({ tenantId: 1, createdAt: -1 });
+fileSchema.index({ tenantId: 1, 'checksum.value': 1, size: 1 });
+
+module.exports = mongoose.model('File', fileSchema);
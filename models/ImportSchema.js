@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const fieldSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['string', 'number', 'integer', 'boolean', 'date'],
+    default: 'string'
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  pattern: String,
+  min: Number,
+  max: Number,
+  enum: [mongoose.Schema.Types.Mixed],
+  aliases: [String],
+  transforms: [String]
+}, { _id: false });
+
+const importSchemaSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  fields: [fieldSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Schema names only have to be unique within a tenant.
+importSchemaSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ImportSchema', importSchemaSchema);
@@ -10,33 +10,110 @@ const jobSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  tenantId: {
+    type: String,
+    required: true
+  },
   fileName: {
     type: String,
     required: true
   },
+  schemaName: {
+    type: String,
+    default: 'default'
+  },
+  importSchema: mongoose.Schema.Types.Mixed,
+  columnMapping: mongoose.Schema.Types.Mixed,
+  hasHeader: {
+    type: Boolean,
+    default: true
+  },
+  resolvedColumns: mongoose.Schema.Types.Mixed,
+  importMode: {
+    type: String,
+    enum: ['insert', 'upsert', 'skip-duplicates'],
+    default: 'insert'
+  },
+  importKey: [String],
+  // Dry runs validate the whole file and count outcomes without writing
+  // records, keeping the first previewLimit normalized rows as a preview.
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  previewLimit: Number,
+  // Higher priority pending jobs are claimed first; ties go oldest first.
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Header row as read from the file, used to rebuild the rejected-rows CSV.
+  sourceHeader: [String],
+  format: {
+    type: String,
+    enum: ['csv', 'jsonl', 'json', 'xlsx'],
+    default: 'csv'
+  },
+  parserOptions: {
+    delimiter: String,
+    quote: String,
+    encoding: String
+  },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'dead', 'paused', 'cancelled'],
     default: 'pending'
   },
   progress: {
     type: Number,
     default: 0
   },
+  progressDetails: {
+    bytesRead: Number,
+    totalBytes: Number,
+    rowsProcessed: Number,
+    rowsPerSec: Number,
+    etaSeconds: Number,
+    updatedAt: Date
+  },
   result: {
     totalLines: Number,
     successfulInserts: Number,
+    updatedRecords: Number,
+    skippedDuplicates: Number,
+    duplicates: Object,
     failedLines: Number,
     successRate: Number,
     errorCategories: Object,
+    fieldErrors: Object,
+    errorCodes: Object,
     errors: [Object],
+    dryRun: Boolean,
+    preview: [Object],
     performance: Object,
     summary: String
   },
+  checkpoint: {
+    byteOffset: Number,
+    lineNumber: Number,
+    totalLines: Number,
+    successfulInserts: Number,
+    updatedRecords: Number,
+    skippedDuplicates: Number,
+    duplicates: Object,
+    failedLines: Number,
+    errorCategories: Object,
+    fieldErrors: Object,
+    errorCodes: Object,
+    errors: [Object],
+    preview: [Object],
+    updatedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
+  workerId: String,
   startedAt: Date,
   completedAt: Date,
   error: String,
@@ -49,7 +126,57 @@ const jobSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  recoveredAt: Date
+  recoveredAt: Date,
+  
+  controlRequest: {
+    type: String,
+    enum: ['pause', 'cancel']
+  },
+  rollbackOnCancel: Boolean,
+  pausedAt: Date,
+  cancelledAt: Date,
+  // One entry per rollback, so a job rolled back again (or whose file's
+  // records are deleted later) keeps its earlier audit entries.
+  rollbacks: [{
+    _id: false,
+    deletedRecords: Number,
+    source: {
+      type: String,
+      enum: ['cancel', 'rollback', 'file-delete']
+    },
+    requestedBy: String,
+    reason: String,
+    fileDeleted: Boolean,
+    completedAt: Date
+  }],
+  
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attemptHistory: [{
+    _id: false,
+    attempt: Number,
+    workerId: String,
+    startedAt: Date,
+    finishedAt: Date,
+    outcome: String,
+    error: String,
+    errorType: String
+  }]
 });
 
+jobSchema.index({ status: 1, tenantId: 1, priority: -1, createdAt: 1 });
+jobSchema.index({ status: 1, lastHeartbeat: 1 });
+jobSchema.index({ fileId: 1, createdAt: -1 });
+jobSchema.index({ tenantId: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Job', jobSchema);
\ No newline at end of file
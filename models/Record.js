@@ -1,30 +1,44 @@
 const mongoose = require('mongoose');
 
 const recordSchema = new mongoose.Schema({
-  name: {
+  schemaName: {
     type: String,
+    default: 'default'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
     required: true
   },
-  email: {
+  // Copied from the job so record queries can be scoped without a join.
+  tenantId: String,
+  uploadedFileId: {
     type: String,
     required: true
   },
-  age: {
-    type: Number,
-    required: false
-  },
-  department: {
+  jobId: {
     type: String,
     required: false
   },
-  uploadedFileId: {
-    type: String,
-    required: true
+  sourceLine: {
+    type: Number,
+    required: false
   },
+  // Identity used by the upsert and skip-duplicates import modes. jobId and
+  // sourceLine always point at the job that created the record; lastJobId
+  // at the one that last overwrote it.
+  recordKey: String,
+  lastJobId: String,
   processedAt: {
     type: Date,
     default: Date.now
   }
 });
 
+recordSchema.index({ jobId: 1, sourceLine: 1 });
+recordSchema.index({ uploadedFileId: 1, processedAt: 1 });
+recordSchema.index(
+  { tenantId: 1, schemaName: 1, recordKey: 1 },
+  { unique: true, partialFilterExpression: { recordKey: { $exists: true } } }
+);
+
 module.exports = mongoose.model('Record', recordSchema);
\ No newline at end of file
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const rejectedRowSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true
+  },
+  fileId: {
+    type: String,
+    required: true
+  },
+  tenantId: String,
+  line: {
+    type: Number,
+    required: true
+  },
+  // Parsed cell values for tabular formats, so the row can be written back
+  // out exactly; JSON formats keep the original text in raw instead.
+  values: [String],
+  raw: String,
+  error: String,
+  fields: [{
+    _id: false,
+    field: String,
+    code: String,
+    category: String,
+    message: String
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+rejectedRowSchema.index({ jobId: 1, line: 1 });
+
+module.exports = mongoose.model('RejectedRow', rejectedRowSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Fixed-window counters behind the per-tenant rate limits and upload quota.
+// They live in MongoDB so every instance enforces the same totals.
+const tenantUsageSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['upload-requests', 'process-requests', 'upload-bytes'],
+    required: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: Date
+});
+
+tenantUsageSchema.index({ tenantId: 1, kind: 1, windowStart: 1 }, { unique: true });
+tenantUsageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TenantUsage', tenantUsageSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// State of an upload that happens over several requests. Chunked uploads
+// send each chunk through the API as one multipart part; presigned uploads
+// go straight to storage and only report back when they are done.
+const uploadSessionSchema = new mongoose.Schema({
+  fileId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tenantId: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['chunked', 'presigned'],
+    default: 'chunked'
+  },
+  // Absent for presigned uploads that use a single PUT.
+  storageUploadId: String,
+  contentType: String,
+  // Base64 SHA-256 the client declared for a presigned PUT.
+  checksumSHA256: String,
+  uploadLength: {
+    type: Number,
+    required: true
+  },
+  // The UTC day uploadLength was charged to, so a refund goes back to that
+  // day's quota even if the upload is abandoned after midnight.
+  quotaWindowStart: Date,
+  offset: {
+    type: Number,
+    default: 0
+  },
+  parts: [{
+    _id: false,
+    partNumber: Number,
+    etag: String,
+    size: Number
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'finalizing', 'completed', 'aborted'],
+    default: 'active'
+  },
+  // Set while a chunk is being written so two PATCHes can't race for the
+  // same part number.
+  lockedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: Date,
+  // Unfinished sessions past this are aborted by the upload sweeper.
+  expiresAt: Date,
+  completedAt: Date
+});
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
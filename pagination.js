@@ -0,0 +1,120 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+    this.statusCode = 400;
+  }
+}
+
+function encodeCursor(doc, sortField) {
+  const value = doc[sortField];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: String(doc._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return {
+      value: payload.d ? new Date(payload.v) : payload.v,
+      id: payload.id
+    };
+  } catch (error) {
+    throw new QueryError('Invalid cursor');
+  }
+}
+
+function parseSort(sortParam, allowedFields, defaultSort) {
+  const raw = sortParam || defaultSort;
+  const descending = raw.startsWith('-');
+  const field = descending ? raw.slice(1) : raw;
+  
+  if (!allowedFields.includes(field)) {
+    throw new QueryError(`Cannot sort by '${field}'. Allowed: ${allowedFields.join(', ')}`);
+  }
+  
+  return { field, order: descending ? -1 : 1 };
+}
+
+function parseLimit(limitParam) {
+  if (limitParam === undefined) return DEFAULT_LIMIT;
+  
+  const limit = parseInt(limitParam);
+  if (isNaN(limit) || limit < 1) {
+    throw new QueryError('limit must be a positive integer');
+  }
+  
+  return Math.min(limit, MAX_LIMIT);
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new QueryError(`${name} must be a valid date`);
+  }
+  
+  return date;
+}
+
+function dateRangeFilter(from, to, fromName, toName) {
+  const range = {};
+  const fromDate = parseDate(from, fromName);
+  const toDate = parseDate(to, toName);
+  
+  if (fromDate) range.$gte = fromDate;
+  if (toDate) range.$lte = toDate;
+  
+  return Object.keys(range).length > 0 ? range : undefined;
+}
+
+// Keyset pagination on (sortField, _id): stable under concurrent inserts and
+// no skip() cost on deep pages, unlike offset pagination.
+async function paginate(Model, filter, { sort, limit, cursor, projection }) {
+  const query = { ...filter };
+  
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor);
+    const op = sort.order === 1 ? '$gt' : '$lt';
+    const keyset = [
+      { [sort.field]: { [op]: value } },
+      { [sort.field]: value, _id: { [op]: id } }
+    ];
+    
+    if (query.$or) {
+      query.$and = [{ $or: query.$or }, { $or: keyset }];
+      delete query.$or;
+    } else {
+      query.$or = keyset;
+    }
+  }
+  
+  const docs = await Model.find(query, projection)
+    .sort({ [sort.field]: sort.order, _id: sort.order })
+    .limit(limit + 1)
+    .lean();
+  
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort.field) : null
+  };
+}
+
+module.exports = {
+  QueryError,
+  paginate,
+  parseSort,
+  parseLimit,
+  dateRangeFilter
+};
@@ -0,0 +1,285 @@
+const { v4: uuidv4 } = require('uuid');
+const File = require('./models/File');
+const UploadSession = require('./models/UploadSession');
+const storage = require('./storage');
+const { isSupportedUpload } = require('./fileFormats');
+const { inspectStoredFile, recordChecksumLater, buildStorageKey } = require('./uploadHandler');
+const { MAX_UPLOAD_BYTES, UPLOAD_SESSION_TTL_MS, UploadSessionError } = require('./resumableUpload');
+const { chargeUploadBytes, refundUploadBytes } = require('./tenantLimits');
+
+const PRESIGN_EXPIRES_SECONDS = parseInt(process.env.PRESIGN_EXPIRES_SECONDS) || 60 * 60;
+// Files above this size get a multipart upload so clients can retry parts.
+const MULTIPART_THRESHOLD_BYTES = parseInt(process.env.PRESIGN_MULTIPART_THRESHOLD_BYTES) || 100 * 1024 * 1024;
+const DEFAULT_PART_BYTES = 16 * 1024 * 1024;
+const MIN_PART_BYTES = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+function partSizes(size, requestedPartSize) {
+  const partSize = Math.max(
+    requestedPartSize || DEFAULT_PART_BYTES,
+    MIN_PART_BYTES,
+    Math.ceil(size / MAX_PARTS)
+  );
+  const sizes = [];
+
+  for (let offset = 0; offset < size; offset += partSize) {
+    sizes.push(Math.min(partSize, size - offset));
+  }
+
+  return sizes;
+}
+
+async function issuePresignedUpload(req, {
+  fileName,
+  contentType,
+  size,
+  checksumSHA256,
+  useMultipart,
+  partSize,
+  quotaWindowStart
+}) {
+  const fileId = uuidv4();
+  const storageKey = buildStorageKey(req.tenantId, fileId, fileName);
+  const expiresIn = PRESIGN_EXPIRES_SECONDS;
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  let upload;
+  let storageUploadId;
+
+  if (useMultipart) {
+    storageUploadId = await storage.createMultipartUpload(storageKey, { contentType });
+    const parts = [];
+
+    for (const [index, contentLength] of partSizes(size, partSize).entries()) {
+      const partNumber = index + 1;
+      const url = await storage.presignUploadPart(storageKey, storageUploadId, partNumber, {
+        contentLength,
+        expiresIn
+      });
+      parts.push({ partNumber, size: contentLength, url });
+    }
+
+    upload = { type: 'multipart', method: 'PUT', parts };
+  } else {
+    const { url, headers } = await storage.presignPut(storageKey, {
+      contentType,
+      contentLength: size,
+      checksumSHA256,
+      expiresIn
+    });
+
+    upload = { type: 'single', method: 'PUT', url, headers };
+  }
+
+  await File.create({
+    fileId,
+    tenantId: req.tenantId,
+    storageKey,
+    storageBackend: storage.name,
+    originalName: fileName,
+    mimeType: contentType,
+    uploadedBy: req.get('X-Uploaded-By'),
+    uploaderIp: req.ip,
+    status: 'uploading'
+  });
+
+  await UploadSession.create({
+    fileId,
+    tenantId: req.tenantId,
+    storageKey,
+    method: 'presigned',
+    storageUploadId,
+    contentType,
+    checksumSHA256,
+    uploadLength: size,
+    quotaWindowStart,
+    // Leave time to call complete after a PUT that started just before the
+    // URLs expired.
+    expiresAt: new Date(expiresAt.getTime() + UPLOAD_SESSION_TTL_MS)
+  });
+
+  console.log(`Issued presigned ${upload.type} upload for ${storageKey} (${size} bytes)`);
+
+  return { fileId, fileName: storageKey, expiresAt, upload };
+}
+
+// Issues URLs the client uploads to directly. Nothing is recorded as
+// uploaded until completePresignedUpload has checked the stored object.
+async function createPresignedUpload(req, {
+  fileName,
+  contentType = 'application/octet-stream',
+  size,
+  sha256,
+  multipart,
+  partSize
+} = {}) {
+  if (!storage.supportsPresignedUploads) {
+    throw new UploadSessionError(`Presigned uploads are not supported by the ${storage.name} storage backend`, 501);
+  }
+
+  if (!fileName || typeof fileName !== 'string') {
+    throw new UploadSessionError('fileName is required');
+  }
+
+  if (!Number.isSafeInteger(size) || size <= 0) {
+    throw new UploadSessionError('size must be a positive integer');
+  }
+
+  if (size > MAX_UPLOAD_BYTES) {
+    throw new UploadSessionError(`size exceeds the ${MAX_UPLOAD_BYTES} byte limit`, 413);
+  }
+
+  if (!isSupportedUpload(fileName, contentType)) {
+    throw new UploadSessionError('Only CSV, TSV, JSON, JSON Lines and XLSX files are allowed');
+  }
+
+  if (partSize !== undefined && (!Number.isSafeInteger(partSize) || partSize < MIN_PART_BYTES)) {
+    throw new UploadSessionError(`partSize must be an integer of at least ${MIN_PART_BYTES} bytes`);
+  }
+
+  let checksumSHA256;
+  if (sha256 !== undefined) {
+    const digest = Buffer.from(String(sha256), /^[0-9a-f]{64}$/i.test(sha256) ? 'hex' : 'base64');
+    if (digest.length !== 32) {
+      throw new UploadSessionError('sha256 must be a hex or base64 SHA-256 digest');
+    }
+    checksumSHA256 = digest.toString('base64');
+  }
+
+  const useMultipart = multipart === undefined ? size > MULTIPART_THRESHOLD_BYTES : multipart === true;
+
+  if (useMultipart && checksumSHA256) {
+    throw new UploadSessionError('sha256 can only be verified for single PUT uploads');
+  }
+
+  const { windowStart } = await chargeUploadBytes(req.tenantId, size);
+
+  try {
+    return await issuePresignedUpload(req, {
+      fileName,
+      contentType,
+      size,
+      checksumSHA256,
+      useMultipart,
+      partSize,
+      quotaWindowStart: windowStart
+    });
+  } catch (error) {
+    await refundUploadBytes(req.tenantId, size, windowStart);
+    throw error;
+  }
+}
+
+async function failPresignedUpload(session, message) {
+  await storage.delete(session.storageKey).catch(() => {});
+  const { modifiedCount } = await UploadSession.updateOne(
+    { fileId: session.fileId, status: { $ne: 'aborted' } },
+    { $set: { status: 'aborted', updatedAt: new Date() } }
+  );
+  await File.updateOne({ fileId: session.fileId }, { $set: { status: 'failed', error: message } });
+
+  // Nothing is kept, so the declared size goes back to the quota; only the
+  // call that aborted the session refunds it.
+  if (modifiedCount > 0) {
+    await refundUploadBytes(session.tenantId, session.uploadLength, session.quotaWindowStart);
+  }
+
+  throw new UploadSessionError(message);
+}
+
+// Called by the client once its PUTs have finished. Returns the File, or
+// null when the tenant has no presigned upload with this id.
+async function completePresignedUpload(fileId, tenantId, { parts } = {}) {
+  const session = await UploadSession.findOne({ fileId, tenantId, method: 'presigned' });
+
+  if (!session) return null;
+
+  if (session.status === 'completed') {
+    return File.findOne({ fileId });
+  }
+
+  if (session.status === 'aborted') {
+    throw new UploadSessionError('Upload was aborted', 409);
+  }
+
+  // Completing counts as activity, so the sweeper leaves the session alone.
+  await UploadSession.updateOne(
+    { fileId, status: 'active' },
+    { $set: { expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS) } }
+  );
+
+  if (session.storageUploadId) {
+    if (!Array.isArray(parts) || parts.length === 0) {
+      throw new UploadSessionError('parts must list the partNumber and etag of every uploaded part');
+    }
+
+    const normalized = parts.map(part => ({ partNumber: Number(part.partNumber), etag: part.etag }));
+
+    if (normalized.some(part => !Number.isInteger(part.partNumber) || typeof part.etag !== 'string')) {
+      throw new UploadSessionError('Each part needs a numeric partNumber and an etag');
+    }
+
+    try {
+      await storage.completeMultipartUpload(session.storageKey, session.storageUploadId, normalized);
+    } catch (error) {
+      // A retried completion finds the multipart upload already gone.
+      if (!(await storage.head(session.storageKey))) {
+        throw new UploadSessionError(`Could not complete the multipart upload: ${error.message}`, 409);
+      }
+    }
+  }
+
+  const stored = await storage.head(session.storageKey);
+
+  if (!stored) {
+    throw new UploadSessionError('The file has not been uploaded to storage yet', 409);
+  }
+
+  if (stored.size !== session.uploadLength) {
+    return failPresignedUpload(session, `Uploaded size ${stored.size} does not match the declared ${session.uploadLength} bytes`);
+  }
+
+  if (session.contentType && stored.contentType && stored.contentType !== session.contentType) {
+    return failPresignedUpload(session, `Uploaded content type ${stored.contentType} does not match the declared ${session.contentType}`);
+  }
+
+  const file = await File.findOne({ fileId });
+
+  // S3 has already checked a declared SHA-256 on the PUT; otherwise the
+  // object is hashed after this call returns.
+  const verified = Boolean(session.checksumSHA256 && stored.checksumSHA256 === session.checksumSHA256);
+  const inspected = await inspectStoredFile(session.storageKey, file.originalName, { hash: false });
+  const update = {
+    status: 'uploaded',
+    size: stored.size,
+    format: inspected.format,
+    uploadedAt: new Date()
+  };
+
+  if (verified) {
+    update.checksum = {
+      algorithm: 'sha256',
+      value: Buffer.from(stored.checksumSHA256, 'base64').toString('hex'),
+      verified: true
+    };
+  }
+
+  await File.updateOne({ fileId }, { $set: update });
+
+  await UploadSession.updateOne(
+    { fileId },
+    { $set: { status: 'completed', completedAt: new Date() } }
+  );
+
+  console.log(`Presigned upload complete: ${session.storageKey} (${stored.size} bytes, ${inspected.format})`);
+
+  if (!verified) {
+    recordChecksumLater(fileId, session.storageKey, file.originalName);
+  }
+
+  return File.findOne({ fileId });
+}
+
+module.exports = {
+  createPresignedUpload,
+  completePresignedUpload
+};
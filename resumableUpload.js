@@ -0,0 +1,350 @@
+const { v4: uuidv4 } = require('uuid');
+const File = require('./models/File');
+const UploadSession = require('./models/UploadSession');
+const storage = require('./storage');
+const { isSupportedUpload } = require('./fileFormats');
+const { inspectStoredFile, recordChecksumLater, buildStorageKey } = require('./uploadHandler');
+const { chargeUploadBytes, refundUploadBytes } = require('./tenantLimits');
+
+// S3 rejects multipart parts under 5MB except the last one.
+const MIN_CHUNK_BYTES = parseInt(process.env.UPLOAD_MIN_CHUNK_BYTES) || 5 * 1024 * 1024;
+const MAX_UPLOAD_BYTES = parseInt(process.env.RESUMABLE_UPLOAD_MAX_BYTES) || 10 * 1024 * 1024 * 1024;
+const CHUNK_LOCK_TIMEOUT_MS = parseInt(process.env.UPLOAD_CHUNK_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+// How long an unfinished upload may sit idle before it is aborted and its
+// quota refunded.
+const UPLOAD_SESSION_TTL_MS = parseInt(process.env.UPLOAD_SESSION_TTL_MS) || 24 * 60 * 60 * 1000;
+const UPLOAD_SWEEP_INTERVAL_MS = parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MS) || 15 * 60 * 1000;
+
+class UploadSessionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'UploadSessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Upload-Metadata is "key base64value,key2 base64value2" (tus 1.0).
+function parseUploadMetadata(header = '') {
+  const metadata = {};
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+
+  return metadata;
+}
+
+function parseByteCount(value, name) {
+  const count = Number(value);
+
+  if (value === undefined || value === '' || !Number.isSafeInteger(count) || count < 0) {
+    throw new UploadSessionError(`${name} must be a non-negative integer`);
+  }
+
+  return count;
+}
+
+async function createUploadSession(req) {
+  const uploadLength = parseByteCount(req.get('Upload-Length'), 'Upload-Length');
+  const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+  const originalName = metadata.filename;
+  const mimeType = metadata.filetype || 'application/octet-stream';
+
+  if (uploadLength === 0) {
+    throw new UploadSessionError('Upload-Length must be greater than zero');
+  }
+
+  if (uploadLength > MAX_UPLOAD_BYTES) {
+    throw new UploadSessionError(`Upload-Length exceeds the ${MAX_UPLOAD_BYTES} byte limit`, 413);
+  }
+
+  if (!originalName) {
+    throw new UploadSessionError('Upload-Metadata must include a filename');
+  }
+
+  if (!isSupportedUpload(originalName, mimeType)) {
+    throw new UploadSessionError('Only CSV, TSV, JSON, JSON Lines and XLSX files are allowed');
+  }
+
+  const { windowStart } = await chargeUploadBytes(req.tenantId, uploadLength);
+
+  const fileId = uuidv4();
+  const storageKey = buildStorageKey(req.tenantId, fileId, originalName);
+  let session;
+
+  try {
+    const storageUploadId = await storage.createMultipartUpload(storageKey, { contentType: mimeType });
+
+    await File.create({
+      fileId,
+      tenantId: req.tenantId,
+      storageKey,
+      storageBackend: storage.name,
+      originalName,
+      mimeType,
+      uploadedBy: req.get('X-Uploaded-By'),
+      uploaderIp: req.ip,
+      status: 'uploading'
+    });
+
+    session = await UploadSession.create({
+      fileId,
+      tenantId: req.tenantId,
+      storageKey,
+      storageUploadId,
+      uploadLength,
+      quotaWindowStart: windowStart,
+      expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS)
+    });
+  } catch (error) {
+    await refundUploadBytes(req.tenantId, uploadLength, windowStart);
+    throw error;
+  }
+
+  console.log(`Started resumable upload ${storageKey} (${uploadLength} bytes)`);
+
+  return session;
+}
+
+async function getUploadSession(fileId, tenantId) {
+  return UploadSession.findOne({ fileId, tenantId, method: 'chunked' });
+}
+
+// Writes one PATCH body as the next multipart part. The client has to send
+// the offset it believes the upload is at; anything else is a conflict it
+// resolves by asking HEAD for the real offset.
+async function appendChunk(req, fileId) {
+  if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+    throw new UploadSessionError('Content-Type must be application/offset+octet-stream', 415);
+  }
+
+  const offset = parseByteCount(req.get('Upload-Offset'), 'Upload-Offset');
+  const contentLength = parseByteCount(req.get('Content-Length'), 'Content-Length');
+  const session = await getUploadSession(fileId, req.tenantId);
+
+  if (!session || session.status === 'aborted') {
+    throw new UploadSessionError('Upload not found', 404);
+  }
+
+  if (offset !== session.offset) {
+    throw new UploadSessionError(`Upload-Offset ${offset} does not match the current offset ${session.offset}`, 409);
+  }
+
+  // An empty PATCH at the end retries a finalization that didn't finish.
+  if (offset === session.uploadLength) {
+    return session.status === 'completed' ? session : finalizeUploadSession(session);
+  }
+
+  const end = offset + contentLength;
+
+  if (end > session.uploadLength) {
+    throw new UploadSessionError('Chunk extends past Upload-Length');
+  }
+
+  if (end < session.uploadLength && contentLength < MIN_CHUNK_BYTES) {
+    throw new UploadSessionError(`Chunks must be at least ${MIN_CHUNK_BYTES} bytes except the last one`);
+  }
+
+  const lockedAt = new Date();
+  const locked = await UploadSession.findOneAndUpdate(
+    {
+      fileId,
+      status: 'active',
+      offset,
+      $or: [
+        { lockedAt: null },
+        { lockedAt: { $lt: new Date(lockedAt.getTime() - CHUNK_LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { lockedAt } },
+    { new: true }
+  );
+
+  if (!locked) {
+    throw new UploadSessionError('Another chunk is being written to this upload', 423);
+  }
+
+  const partNumber = locked.parts.length + 1;
+  let updated;
+
+  try {
+    const { etag } = await storage.uploadPart(
+      locked.storageKey,
+      locked.storageUploadId,
+      partNumber,
+      req,
+      { contentLength }
+    );
+
+    updated = await UploadSession.findOneAndUpdate(
+      { fileId, lockedAt },
+      {
+        $push: { parts: { partNumber, etag, size: contentLength } },
+        $inc: { offset: contentLength },
+        $set: { updatedAt: new Date(), expiresAt: new Date(Date.now() + UPLOAD_SESSION_TTL_MS) },
+        $unset: { lockedAt: 1 }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    await UploadSession.updateOne({ fileId, lockedAt }, { $unset: { lockedAt: 1 } });
+    throw error;
+  }
+
+  if (!updated) {
+    throw new UploadSessionError('Chunk lock expired while the chunk was being written; retry from the current offset', 409);
+  }
+
+  if (updated.offset === updated.uploadLength) {
+    return finalizeUploadSession(updated);
+  }
+
+  return updated;
+}
+
+// Only one request finalizes an upload at a time. lockedAt doubles as the
+// finalize lock, so a finalize that died is taken over by a retried empty
+// PATCH once the lock has expired.
+async function finalizeUploadSession(session) {
+  const { fileId, storageKey } = session;
+  const lockedAt = new Date();
+  const claimed = await UploadSession.findOneAndUpdate(
+    {
+      fileId,
+      offset: session.uploadLength,
+      $or: [
+        { status: 'active' },
+        { status: 'finalizing', lockedAt: { $lt: new Date(lockedAt.getTime() - CHUNK_LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'finalizing', lockedAt } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return UploadSession.findOne({ fileId });
+  }
+
+  try {
+    await storage.completeMultipartUpload(storageKey, claimed.storageUploadId, claimed.parts);
+  } catch (error) {
+    // A previous finalize may have completed the object and then died.
+    const existing = await storage.head(storageKey);
+    if (!existing || existing.size !== claimed.uploadLength) throw error;
+  }
+
+  // Only the first bytes are read here; hashing the whole object would keep
+  // the last PATCH waiting for minutes on a large upload.
+  const file = await File.findOne({ fileId });
+  const { format } = await inspectStoredFile(storageKey, file.originalName, { hash: false });
+  const size = claimed.uploadLength;
+
+  await File.updateOne(
+    { fileId },
+    { $set: { status: 'uploaded', size, format, uploadedAt: new Date() } }
+  );
+
+  const completed = await UploadSession.findOneAndUpdate(
+    { fileId },
+    { $set: { status: 'completed', completedAt: new Date() }, $unset: { lockedAt: 1 } },
+    { new: true }
+  );
+
+  console.log(`Resumable upload complete: ${storageKey} (${size} bytes, ${format})`);
+
+  recordChecksumLater(fileId, storageKey, file.originalName);
+
+  return completed;
+}
+
+async function abortUpload(fileId, tenantId) {
+  const session = await getUploadSession(fileId, tenantId);
+
+  if (!session || session.status === 'aborted') {
+    throw new UploadSessionError('Upload not found', 404);
+  }
+
+  if (session.status !== 'active') {
+    throw new UploadSessionError(`Cannot abort an upload that is ${session.status}`, 409);
+  }
+
+  await storage.abortMultipartUpload(session.storageKey, session.storageUploadId);
+  const { modifiedCount } = await UploadSession.updateOne(
+    { fileId, status: 'active' },
+    { $set: { status: 'aborted', updatedAt: new Date() } }
+  );
+  await File.updateOne({ fileId }, { $set: { status: 'failed', error: 'Upload aborted by client' } });
+
+  // The whole declared size was charged when the upload was created.
+  if (modifiedCount > 0) {
+    await refundUploadBytes(tenantId, session.uploadLength, session.quotaWindowStart);
+  }
+
+  console.log(`Aborted resumable upload ${session.storageKey}`);
+}
+
+// Aborts chunked and presigned uploads that have been idle past their
+// expiry, deletes whatever reached storage and refunds the quota. Sessions
+// with a live chunk or finalize lock are left for the next sweep.
+async function expireUploadSessions(now = new Date()) {
+  const filter = {
+    status: { $in: ['active', 'finalizing'] },
+    expiresAt: { $lt: now },
+    $or: [
+      { lockedAt: null },
+      { lockedAt: { $lt: new Date(now.getTime() - CHUNK_LOCK_TIMEOUT_MS) } }
+    ]
+  };
+  const expired = await UploadSession.find(filter).lean();
+
+  for (const session of expired) {
+    const { modifiedCount } = await UploadSession.updateOne(
+      { ...filter, fileId: session.fileId },
+      { $set: { status: 'aborted', updatedAt: now } }
+    );
+
+    // Another instance swept it, or the client got in first.
+    if (modifiedCount === 0) continue;
+
+    if (session.storageUploadId) {
+      await storage.abortMultipartUpload(session.storageKey, session.storageUploadId)
+        .catch(error => console.error(`Multipart abort error for ${session.storageKey}:`, error));
+    }
+    // Single PUTs, and multipart uploads a dead finalize already completed.
+    await storage.delete(session.storageKey)
+      .catch(error => console.error(`Delete error for ${session.storageKey}:`, error));
+
+    await File.updateOne(
+      { fileId: session.fileId },
+      { $set: { status: 'failed', error: 'Upload expired before it was completed' } }
+    );
+    await refundUploadBytes(session.tenantId, session.uploadLength, session.quotaWindowStart);
+
+    console.log(`Expired ${session.method} upload ${session.storageKey}`);
+  }
+
+  return expired.length;
+}
+
+function startUploadSessionSweeper() {
+  const sweep = () => {
+    expireUploadSessions().catch(error => console.error('Upload session sweep failed:', error));
+  };
+
+  sweep();
+  setInterval(sweep, UPLOAD_SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  UPLOAD_SESSION_TTL_MS,
+  MIN_CHUNK_BYTES,
+  MAX_UPLOAD_BYTES,
+  UploadSessionError,
+  createUploadSession,
+  getUploadSession,
+  appendChunk,
+  abortUpload,
+  startUploadSessionSweeper
+};
@@ -2,10 +2,48 @@ require('dotenv').config();
 const express = require('express');
 const multer = require('multer');
 const mongoose = require('mongoose');
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
 const { v4: uuidv4 } = require('uuid');
-const { handleStreamingUpload } = require('./uploadHandler');
+const { once } = require('events');
+const { authenticate } = require('./auth');
+const {
+  QuotaExceededError,
+  getTenantLimits,
+  getUploadBytesToday,
+  rateLimit,
+  assertQueueCapacity
+} = require('./tenantLimits');
+const { handleStreamingUpload, UploadIntegrityError } = require('./uploadHandler');
+const {
+  MAX_UPLOAD_BYTES,
+  UploadSessionError,
+  createUploadSession,
+  getUploadSession,
+  appendChunk,
+  abortUpload,
+  startUploadSessionSweeper
+} = require('./resumableUpload');
+const { createPresignedUpload, completePresignedUpload } = require('./presignedUpload');
 const jobQueue = require('./jobQueue');
+const storage = require('./storage');
+const Job = require('./models/Job');
+const File = require('./models/File');
+const Record = require('./models/Record');
+const ImportSchema = require('./models/ImportSchema');
+const RejectedRow = require('./models/RejectedRow');
+const {
+  DEFAULT_SCHEMA,
+  SchemaDefinitionError,
+  ColumnMappingError,
+  ImportOptionsError,
+  normalizeImportOptions,
+  validateSchemaDefinition,
+  validateColumnMapping,
+  findImportSchema
+} = require('./importSchemas');
+const { QueryError, paginate, parseSort, parseLimit, dateRangeFilter } = require('./pagination');
+const { JobStateError } = require('./jobErrors');
+const { ParserOptionsError, normalizeParserOptions, formatCSVRow } = require('./csvParser');
+const { FORMATS, isSupportedUpload } = require('./fileFormats');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -13,30 +51,23 @@ const PORT = process.env.PORT || 3000;
 app.use(express.json());
 
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    jobQueue.start();
+    startUploadSessionSweeper();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-  }
-});
-
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/plain' || 
-        file.mimetype === 'text/csv' ||
-        file.originalname.endsWith('.txt') || 
-        file.originalname.endsWith('.csv')) {
+    if (isSupportedUpload(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only text and CSV files are allowed'));
+      cb(new Error('Only CSV, TSV, JSON, JSON Lines and XLSX files are allowed'));
     }
   }
 });
@@ -45,21 +76,99 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', message: 'Server is running' });
 });
 
-app.post('/upload', async (req, res) => {
-  try {
-    const result = await handleStreamingUpload(req);
+// Everything below needs an API key. Lookups are always scoped to
+// req.tenantId, so another tenant's ids simply come back as not found.
+app.use(authenticate);
 
+function sendQuotaExceeded(res, error) {
+  res.set('Retry-After', String(error.retryAfterSeconds)).status(429).json({
+    error: error.message,
+    retryAfter: error.retryAfterSeconds
+  });
+}
 
-    res.status(200).json({
-      message: 'File uploaded successfully',
+// Simple options fit in the query string; structured ones (columnMapping,
+// parserOptions) go in a JSON "processOptions" form field, which wins.
+function readUploadProcessOptions(query, fields) {
+  const booleanParam = value => (value === 'true' || value === 'false' ? value === 'true' : value);
+  const options = {
+    schema: query.schema,
+    format: query.format,
+    importMode: query.importMode,
+    key: query.key,
+    priority: query.priority,
+    preview: query.preview,
+    dryRun: query.dryRun === 'true',
+    hasHeader: booleanParam(query.hasHeader)
+  };
+  
+  if (fields.processOptions !== undefined) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fields.processOptions);
+    } catch (error) {
+      parsed = null;
+    }
+    
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new ImportOptionsError('processOptions must be a JSON object');
+    }
+    
+    Object.assign(options, parsed);
+  }
+  
+  return options;
+}
+
+// Uploads that also start processing count against the process limit too.
+app.post('/upload', rateLimit('upload'), rateLimit('process', {
+  when: req => req.query.process === 'true'
+}), async (req, res) => {
+  try {
+    const result = await handleStreamingUpload(req, {
+      dedupe: req.query.dedupe === 'true'
+    });
+
+    const response = {
+      message: result.duplicate 
+        ? 'Identical file already uploaded; returning the existing file' 
+        : 'File uploaded successfully',
       fileId: result.fileId,
       fileName: result.fileName,
-      size: result.size
-    });
+      size: result.size,
+      checksum: result.checksum,
+      format: result.format,
+      duplicate: result.duplicate
+    };
+    
+    // The file is stored either way, so a processing problem is reported
+    // alongside the upload rather than failing it; the client can retry
+    // with /process.
+    if (req.query.process === 'true') {
+      try {
+        const file = await File.findOne({ fileId: result.fileId });
+        const job = await enqueueFileProcessing(file, readUploadProcessOptions(req.query, result.fields));
+        
+        response.jobId = job.jobId;
+        response.job = describeEnqueuedJob(job);
+      } catch (error) {
+        reportProcessError(res, response, error);
+      }
+    }
+
+    res.status(response.jobId ? 202 : 200).json(response);
 
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return sendQuotaExceeded(res, error);
+    }
+    
     console.error('Upload error:', error);
     
+    if (error instanceof UploadIntegrityError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
     if (error.message.includes('File size limit')) {
       return res.status(400).json({ 
         error: 'File too large', 
@@ -74,61 +183,973 @@ app.post('/upload', async (req, res) => {
   }
 });
 
-app.post('/process/:fileId', async (req, res) => {
+// Resumable uploads follow the tus 1.0 core protocol plus the creation and
+// termination extensions: POST creates the upload, HEAD reports the offset,
+// PATCH appends a chunk and DELETE abandons it. The upload id is the fileId.
+const TUS_VERSION = '1.0.0';
+
+function sendUploadSessionError(res, error, action) {
+  if (error instanceof UploadSessionError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  
+  if (error instanceof QuotaExceededError) {
+    return sendQuotaExceeded(res, error);
+  }
+  
+  console.error(`Resumable upload ${action} error:`, error);
+  res.status(500).json({ error: `Failed to ${action} upload`, details: error.message });
+}
+
+app.options('/uploads', (req, res) => {
+  res.set({
+    'Tus-Resumable': TUS_VERSION,
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': 'creation,termination',
+    'Tus-Max-Size': String(MAX_UPLOAD_BYTES)
+  }).status(204).end();
+});
+
+app.post('/uploads', rateLimit('upload'), async (req, res) => {
+  try {
+    const session = await createUploadSession(req);
+    
+    res.set({
+      'Tus-Resumable': TUS_VERSION,
+      Location: `/uploads/${session.fileId}`
+    }).status(201).json({
+      message: 'Upload created',
+      fileId: session.fileId,
+      uploadLength: session.uploadLength,
+      uploadUrl: `/uploads/${session.fileId}`
+    });
+    
+  } catch (error) {
+    sendUploadSessionError(res, error, 'create');
+  }
+});
+
+app.head('/uploads/:fileId', async (req, res) => {
+  try {
+    const session = await getUploadSession(req.params.fileId, req.tenantId);
+    
+    if (!session || session.status === 'aborted') {
+      return res.status(404).end();
+    }
+    
+    res.set({
+      'Tus-Resumable': TUS_VERSION,
+      'Upload-Offset': String(session.offset),
+      'Upload-Length': String(session.uploadLength),
+      'Cache-Control': 'no-store'
+    }).status(200).end();
+    
+  } catch (error) {
+    console.error('Resumable upload status error:', error);
+    res.status(500).end();
+  }
+});
+
+app.patch('/uploads/:fileId', async (req, res) => {
+  try {
+    const session = await appendChunk(req, req.params.fileId);
+    
+    res.set({
+      'Tus-Resumable': TUS_VERSION,
+      'Upload-Offset': String(session.offset)
+    }).status(204).end();
+    
+  } catch (error) {
+    sendUploadSessionError(res, error, 'append to');
+  }
+});
+
+app.delete('/uploads/:fileId', async (req, res) => {
+  try {
+    await abortUpload(req.params.fileId, req.tenantId);
+    res.set('Tus-Resumable', TUS_VERSION).status(204).end();
+    
+  } catch (error) {
+    sendUploadSessionError(res, error, 'abort');
+  }
+});
+
+app.post('/schemas', async (req, res) => {
+  try {
+    const definition = validateSchemaDefinition(req.body);
+    const schema = await ImportSchema.create({ ...definition, tenantId: req.tenantId });
+    
+    res.status(201).json({
+      message: 'Import schema registered',
+      name: schema.name,
+      fields: definition.fields
+    });
+    
+  } catch (error) {
+    if (error instanceof SchemaDefinitionError) {
+      return res.status(error.statusCode).json({ error: error.message, problems: error.problems });
+    }
+    
+    if (error.code === 11000) {
+      return res.status(409).json({ error: `Import schema already exists: ${req.body.name}` });
+    }
+    
+    console.error('Schema registration error:', error);
+    res.status(500).json({ error: 'Failed to register import schema', details: error.message });
+  }
+});
+
+app.get('/schemas', async (req, res) => {
+  try {
+    const schemas = await ImportSchema.find(
+      { tenantId: req.tenantId },
+      { _id: 0, __v: 0, tenantId: 0 }
+    ).sort({ name: 1 }).lean();
+    
+    res.json({ schemas: [DEFAULT_SCHEMA, ...schemas] });
+    
+  } catch (error) {
+    console.error('List schemas error:', error);
+    res.status(500).json({ error: 'Failed to list import schemas', details: error.message });
+  }
+});
+
+app.get('/schemas/:name', async (req, res) => {
+  try {
+    const schema = await findImportSchema(req.params.name, req.tenantId);
+    
+    if (!schema) {
+      return res.status(404).json({ error: 'Import schema not found' });
+    }
+    
+    res.json(schema);
+    
+  } catch (error) {
+    console.error('Get schema error:', error);
+    res.status(500).json({ error: 'Failed to get import schema', details: error.message });
+  }
+});
+
+app.delete('/schemas/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    if (name === DEFAULT_SCHEMA.name) {
+      return res.status(400).json({ error: 'The built-in schema cannot be deleted' });
+    }
+    
+    const { deletedCount } = await ImportSchema.deleteOne({ tenantId: req.tenantId, name });
+    
+    if (deletedCount === 0) {
+      return res.status(404).json({ error: 'Import schema not found' });
+    }
+    
+    res.json({ message: 'Import schema deleted', name });
+    
+  } catch (error) {
+    console.error('Delete schema error:', error);
+    res.status(500).json({ error: 'Failed to delete import schema', details: error.message });
+  }
+});
+
+// Preview rows are stored on the job document, so keep them bounded.
+const MAX_PREVIEW_ROWS = 100;
+const MAX_JOB_PRIORITY = 10;
+
+// Validates processing options for an uploaded file and enqueues the job.
+// Shared by /process and the upload routes that can start processing
+// straight away.
+async function enqueueFileProcessing(file, {
+  schema: schemaName,
+  columnMapping,
+  hasHeader = true,
+  format: requestedFormat,
+  importMode,
+  key,
+  parserOptions,
+  dryRun = false,
+  preview = 10,
+  priority = 0
+} = {}) {
+  const importSchema = await findImportSchema(schemaName, file.tenantId);
+  
+  if (!importSchema) {
+    throw new ImportOptionsError(`Unknown import schema: ${schemaName}`);
+  }
+  
+  if (typeof hasHeader !== 'boolean') {
+    throw new ImportOptionsError('hasHeader must be a boolean');
+  }
+  
+  const previewLimit = Number(preview);
+  
+  if (!Number.isInteger(previewLimit) || previewLimit < 0 || previewLimit > MAX_PREVIEW_ROWS) {
+    throw new ImportOptionsError(`preview must be an integer between 0 and ${MAX_PREVIEW_ROWS}`);
+  }
+  
+  const jobPriority = Number(priority);
+  
+  if (!Number.isInteger(jobPriority) || jobPriority < 0 || jobPriority > MAX_JOB_PRIORITY) {
+    throw new ImportOptionsError(`priority must be an integer between 0 and ${MAX_JOB_PRIORITY}`);
+  }
+  
+  // Files uploaded before format detection existed are all CSV.
+  const format = requestedFormat || file.format || 'csv';
+  
+  if (!FORMATS[format]) {
+    throw new ImportOptionsError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  
+  // JSON records are keyed by name, so mappings there are always by name.
+  validateColumnMapping(importSchema, columnMapping, FORMATS[format].tabular ? hasHeader : true);
+  
+  await assertQueueCapacity(file.tenantId);
+  
+  return jobQueue.enqueueJob(file.fileId, file.storageKey, {
+    tenantId: file.tenantId,
+    importSchema,
+    columnMapping,
+    hasHeader,
+    format,
+    ...normalizeImportOptions(importSchema, { importMode, key }),
+    dryRun,
+    previewLimit,
+    priority: jobPriority,
+    parserOptions: format === 'csv'
+      ? normalizeParserOptions(parserOptions, file.originalName)
+      : undefined
+  });
+}
+
+function isProcessOptionsError(error) {
+  return error instanceof ColumnMappingError ||
+    error instanceof ParserOptionsError ||
+    error instanceof ImportOptionsError;
+}
+
+// Used by the upload routes that can start processing. A full queue keeps
+// the upload's status code but still tells the client when to retry.
+function reportProcessError(res, response, error) {
+  if (error instanceof QuotaExceededError) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+    response.retryAfter = error.retryAfterSeconds;
+  } else if (!isProcessOptionsError(error)) {
+    console.error('Upload auto-process error:', error);
+  }
+  
+  response.processError = error.message;
+}
+
+function describeEnqueuedJob(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    schema: job.schemaName,
+    importMode: job.importMode,
+    dryRun: job.dryRun,
+    priority: job.priority,
+    checkStatusUrl: `/jobs/${job.jobId}`
+  };
+}
+
+app.post('/process/:fileId', rateLimit('process'), async (req, res) => {
   try {
     const { fileId } = req.params;
-    const fileName = `${fileId}-*`; 
+    const { fileName: providedFileName, ...options } = req.body || {};
     
+    const file = await File.findOne({ fileId, tenantId: req.tenantId });
     
-    const { fileName: providedFileName } = req.body;
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    if (file.status !== 'uploaded') {
+      return res.status(409).json({ 
+        error: `File is not ready for processing (status: ${file.status})` 
+      });
+    }
     
-    if (!providedFileName) {
+    // fileName is optional now, but a stale or mistyped one must not
+    // silently process a different object than the caller expects.
+    if (providedFileName && providedFileName !== file.storageKey) {
       return res.status(400).json({ 
-        error: 'fileName is required in request body',
-        example: { fileName: 'uuid-filename.csv' }
+        error: 'fileName does not match the uploaded file',
+        expected: file.storageKey
       });
     }
     
-    const job = await jobQueue.enqueueJob(fileId, providedFileName);
+    const dryRun = req.query.dryRun === 'true';
+    const job = await enqueueFileProcessing(file, {
+      ...options,
+      dryRun,
+      preview: req.query.preview
+    });
     
     res.status(202).json({
-      message: 'Job enqueued successfully',
-      jobId: job.jobId,
-      status: job.status,
-      checkStatusUrl: `/jobs/${job.jobId}`
+      message: dryRun ? 'Dry run enqueued successfully' : 'Job enqueued successfully',
+      ...describeEnqueuedJob(job)
     });
     
   } catch (error) {
+    if (isProcessOptionsError(error)) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    if (error instanceof QuotaExceededError) {
+      return sendQuotaExceeded(res, error);
+    }
+    
     console.error('Process error:', error);
     res.status(500).json({ error: 'Failed to enqueue job', details: error.message });
   }
 });
 
+app.post('/uploads/presign', rateLimit('upload'), async (req, res) => {
+  try {
+    const presigned = await createPresignedUpload(req, req.body || {});
+    
+    res.status(201).json({
+      message: 'Upload URL issued',
+      ...presigned,
+      completeUrl: `/uploads/${presigned.fileId}/complete`
+    });
+    
+  } catch (error) {
+    sendUploadSessionError(res, error, 'presign');
+  }
+});
+
+app.post('/uploads/:fileId/complete', rateLimit('process', {
+  when: req => Boolean(req.body && req.body.process === true)
+}), async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const { parts, process: shouldProcess = false, processOptions } = req.body || {};
+    
+    const file = await completePresignedUpload(fileId, req.tenantId, { parts });
+    
+    if (!file) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    
+    const response = {
+      message: 'File uploaded successfully',
+      file: serializeFile(file)
+    };
+    
+    if (shouldProcess === true) {
+      try {
+        response.job = describeEnqueuedJob(await enqueueFileProcessing(file, processOptions));
+      } catch (error) {
+        reportProcessError(res, response, error);
+      }
+    }
+    
+    res.status(response.job ? 202 : 200).json(response);
+    
+  } catch (error) {
+    sendUploadSessionError(res, error, 'complete');
+  }
+});
+
+function serializeJob(job) {
+  return {
+    jobId: job.jobId,
+    fileId: job.fileId,
+    fileName: job.fileName,
+    schema: job.schemaName,
+    columnMapping: job.columnMapping,
+    resolvedColumns: job.resolvedColumns,
+    format: job.format,
+    parserOptions: job.parserOptions,
+    importMode: job.importMode,
+    importKey: job.importKey,
+    dryRun: job.dryRun,
+    priority: job.priority,
+    status: job.status,
+    progress: job.progress,
+    progressDetails: job.progressDetails,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    result: job.result,
+    rejectedRowsUrl: `/jobs/${job.jobId}/errors`,
+    error: job.error,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    nextRunAt: job.status === 'pending' ? job.runAt : undefined,
+    attemptHistory: job.attemptHistory,
+    controlRequest: job.controlRequest,
+    pausedAt: job.pausedAt,
+    cancelledAt: job.cancelledAt,
+    rollbacks: job.rollbacks
+  };
+}
+
+function serializeFile(file) {
+  return {
+    fileId: file.fileId,
+    fileName: file.storageKey,
+    originalName: file.originalName,
+    size: file.size,
+    mimeType: file.mimeType,
+    format: file.format,
+    checksum: file.checksum,
+    uploadedBy: file.uploadedBy,
+    status: file.status,
+    error: file.error,
+    createdAt: file.createdAt,
+    uploadedAt: file.uploadedAt,
+    deletedAt: file.deletedAt
+  };
+}
+
+function handleListError(res, error, what) {
+  if (error instanceof QueryError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  
+  console.error(`List ${what} error:`, error);
+  res.status(500).json({ error: `Failed to list ${what}`, details: error.message });
+}
+
+app.get('/queue/stats', async (req, res) => {
+  try {
+    res.json({
+      ...await jobQueue.getQueueStats(req.tenantId),
+      limits: getTenantLimits(req.tenantId),
+      uploadBytesToday: await getUploadBytesToday(req.tenantId)
+    });
+  } catch (error) {
+    console.error('Queue stats error:', error);
+    res.status(500).json({ error: 'Failed to get queue stats', details: error.message });
+  }
+});
+
+app.get('/jobs', async (req, res) => {
+  try {
+    const { status, fileId, createdFrom, createdTo, cursor } = req.query;
+    const filter = { tenantId: req.tenantId };
+    
+    if (status) filter.status = { $in: status.split(',') };
+    if (fileId) filter.fileId = fileId;
+    
+    const createdAt = dateRangeFilter(createdFrom, createdTo, 'createdFrom', 'createdTo');
+    if (createdAt) filter.createdAt = createdAt;
+    
+    const page = await paginate(Job, filter, {
+      sort: parseSort(req.query.sort, ['createdAt'], '-createdAt'),
+      limit: parseLimit(req.query.limit),
+      cursor,
+      projection: { checkpoint: 0, attemptHistory: 0 }
+    });
+    
+    res.json({
+      jobs: page.items.map(serializeJob),
+      nextCursor: page.nextCursor
+    });
+    
+  } catch (error) {
+    handleListError(res, error, 'jobs');
+  }
+});
+
+app.get('/files', async (req, res) => {
+  try {
+    const { status, createdFrom, createdTo, cursor } = req.query;
+    const filter = { tenantId: req.tenantId };
+    
+    if (status) filter.status = { $in: status.split(',') };
+    
+    const createdAt = dateRangeFilter(createdFrom, createdTo, 'createdFrom', 'createdTo');
+    if (createdAt) filter.createdAt = createdAt;
+    
+    const page = await paginate(File, filter, {
+      sort: parseSort(req.query.sort, ['createdAt', 'size'], '-createdAt'),
+      limit: parseLimit(req.query.limit),
+      cursor
+    });
+    
+    res.json({
+      files: page.items.map(serializeFile),
+      nextCursor: page.nextCursor
+    });
+    
+  } catch (error) {
+    handleListError(res, error, 'files');
+  }
+});
+
+const RECORD_META_FIELDS = ['schemaName', 'jobId', 'sourceLine', 'processedAt'];
+const RECORD_QUERY_PARAMS = ['cursor', 'limit', 'sort', 'fields', 'jobId', 'schemaName'];
+const DATA_FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Query values arrive as strings, but numeric schema fields are stored as
+// numbers, so match either representation.
+function dataValueFilter(value) {
+  const number = Number(value);
+  return value.trim() !== '' && !isNaN(number) ? { $in: [value, number] } : value;
+}
+
+// Any query parameter that is not a paging option filters on a record data
+// field: `department=Sales` for equality, `age.min=18` / `age.max=65` for ranges.
+function buildRecordFilter(fileId, query) {
+  const filter = { uploadedFileId: fileId };
+  
+  if (query.jobId) filter.jobId = query.jobId;
+  if (query.schemaName) filter.schemaName = query.schemaName;
+  
+  for (const [key, value] of Object.entries(query)) {
+    if (RECORD_QUERY_PARAMS.includes(key) || typeof value !== 'string') continue;
+    
+    const [field, bound] = key.split('.');
+    
+    if (!DATA_FIELD_PATTERN.test(field) || (bound && !['min', 'max'].includes(bound))) {
+      throw new QueryError(`Unsupported filter: ${key}`);
+    }
+    
+    const path = `data.${field}`;
+    
+    if (!bound) {
+      filter[path] = dataValueFilter(value);
+      continue;
+    }
+    
+    const number = Number(value);
+    if (isNaN(number)) {
+      throw new QueryError(`${key} must be a number`);
+    }
+    
+    filter[path] = {
+      ...(typeof filter[path] === 'object' ? filter[path] : {}),
+      [bound === 'min' ? '$gte' : '$lte']: number
+    };
+  }
+  
+  return filter;
+}
+
+app.get('/files/:fileId/records', async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const { fields, cursor } = req.query;
+    
+    const file = await File.exists({ fileId, tenantId: req.tenantId });
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    const filter = buildRecordFilter(fileId, req.query);
+    
+    const sort = parseSort(req.query.sort, ['processedAt', 'sourceLine'], 'processedAt');
+    
+    let projection = { __v: 0 };
+    if (fields) {
+      const requested = fields.split(',').map(field => field.trim());
+      const invalid = requested.filter(field => !DATA_FIELD_PATTERN.test(field));
+      
+      if (invalid.length > 0) {
+        throw new QueryError(`Invalid fields: ${invalid.join(', ')}`);
+      }
+      
+      const paths = requested.map(field => (
+        RECORD_META_FIELDS.includes(field) ? field : `data.${field}`
+      ));
+      
+      // The sort field is needed to build the next cursor.
+      projection = Object.fromEntries([...paths, sort.field].map(path => [path, 1]));
+    }
+    
+    const page = await paginate(Record, filter, {
+      sort,
+      limit: parseLimit(req.query.limit),
+      cursor,
+      projection
+    });
+    
+    res.json({
+      fileId,
+      records: page.items,
+      nextCursor: page.nextCursor
+    });
+    
+  } catch (error) {
+    handleListError(res, error, 'records');
+  }
+});
+
 app.get('/jobs/:jobId', async (req, res) => {
   try {
     const { jobId } = req.params;
     
-    const job = await jobQueue.getJobStatus(jobId);
+    const job = await jobQueue.getJobStatus(jobId, req.tenantId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json(serializeJob(job));
+    
+  } catch (error) {
+    console.error('Status check error:', error);
+    res.status(500).json({ error: 'Failed to get job status', details: error.message });
+  }
+});
+
+// Line and error go after the source columns so the corrected file can be
+// re-uploaded as-is: header mapping ignores unknown columns and positional
+// mapping ignores trailing ones. Every row (and the header) is padded to the
+// widest one so _line and _error always sit in their own columns, even for
+// short rows (INSUFFICIENT_FIELDS, or XLSX rows whose trailing cells are
+// empty) and for rows with more values than the header. Values are never cut.
+async function streamRejectedRowsCSV(res, job) {
+  const tabular = FORMATS[job.format || 'csv'].tabular;
+  const header = tabular && job.sourceHeader ? job.sourceHeader : [];
+  let width = header.length;
+  
+  if (tabular) {
+    const [widest] = await RejectedRow.aggregate([
+      { $match: { jobId: job.jobId } },
+      { $group: { _id: null, width: { $max: { $size: { $ifNull: ['$values', []] } } } } }
+    ]);
+    width = Math.max(width, widest ? widest.width : 0);
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${job.jobId}-errors.csv"`
+  });
+  
+  const write = async (values) => {
+    if (!res.write(formatCSVRow(values) + '\r\n')) {
+      await once(res, 'drain');
+    }
+  };
+  
+  const padToWidth = values => Array.from({ length: width }, (_, i) => values[i] ?? '');
+  
+  if (!tabular) {
+    await write(['_line', '_error', '_raw']);
+  } else if (header.length > 0) {
+    await write([...padToWidth(header), '_line', '_error']);
+  }
+  
+  const rows = RejectedRow.find({ jobId: job.jobId }).sort({ line: 1 }).lean().cursor();
+  
+  for await (const row of rows) {
+    await write(tabular
+      ? [...padToWidth(row.values || []), row.line, row.error]
+      : [row.line, row.error, row.raw]);
+  }
+  
+  res.end();
+}
+
+app.get('/jobs/:jobId/errors', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { format = 'json', category, code, cursor } = req.query;
+    
+    if (format !== 'json' && format !== 'csv') {
+      throw new QueryError('format must be json or csv');
+    }
+    
+    const job = await jobQueue.getJobStatus(jobId, req.tenantId);
     
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
     
+    if (format === 'csv') {
+      return await streamRejectedRowsCSV(res, job);
+    }
+    
+    const filter = { jobId };
+    if (category) {
+      filter['fields.category'] = category;
+    }
+    if (code) {
+      filter['fields.code'] = code;
+    }
+    
+    const page = await paginate(RejectedRow, filter, {
+      sort: parseSort(req.query.sort, ['line'], 'line'),
+      limit: parseLimit(req.query.limit),
+      cursor,
+      projection: { __v: 0, jobId: 0, fileId: 0 }
+    });
+    
     res.json({
-      jobId: job.jobId,
+      jobId,
       fileId: job.fileId,
-      fileName: job.fileName,
-      status: job.status,
-      createdAt: job.createdAt,
-      startedAt: job.startedAt,
-      completedAt: job.completedAt,
-      result: job.result,
-      error: job.error
+      rejectedRows: page.items,
+      nextCursor: page.nextCursor
     });
     
   } catch (error) {
-    console.error('Status check error:', error);
-    res.status(500).json({ error: 'Failed to get job status', details: error.message });
+    if (res.headersSent) {
+      console.error('Rejected rows export error:', error);
+      return res.destroy(error);
+    }
+    
+    handleListError(res, error, 'rejected rows');
+  }
+});
+
+app.get('/jobs/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+  
+  // Subscribe before reading the job so an update that lands during the
+  // lookup is queued rather than missed.
+  let pending = [];
+  let keepAlive = null;
+  let ended = false;
+  
+  const cleanup = () => {
+    clearInterval(keepAlive);
+    jobQueue.off('job', onJobEvent);
+  };
+  
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  const forward = (event) => {
+    if (ended) return;
+    
+    send(event.type, event);
+    
+    if (event.type === 'status' && jobQueue.isTerminalStatus(event.status)) {
+      send('end', { jobId, status: event.status });
+      ended = true;
+      cleanup();
+      res.end();
+    }
+  };
+  
+  const onJobEvent = (event) => {
+    if (event.jobId !== jobId) return;
+    
+    if (pending) {
+      pending.push(event);
+    } else {
+      forward(event);
+    }
+  };
+  
+  jobQueue.on('job', onJobEvent);
+  req.on('close', cleanup);
+  
+  let job;
+  
+  try {
+    job = await jobQueue.getJobStatus(jobId, req.tenantId);
+  } catch (error) {
+    cleanup();
+    console.error('Job events error:', error);
+    return res.status(500).json({ error: 'Failed to get job status', details: error.message });
+  }
+  
+  if (!job) {
+    cleanup();
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  // The client went away during the lookup.
+  if (res.destroyed) return cleanup();
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  
+  send('status', serializeJob(job));
+  
+  if (jobQueue.isTerminalStatus(job.status)) {
+    send('end', { jobId, status: job.status });
+    cleanup();
+    return res.end();
+  }
+  
+  // Comment lines keep proxies from closing an idle stream.
+  keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  
+  const queued = pending;
+  pending = null;
+  queued.forEach(forward);
+});
+
+const jobControlActions = {
+  cancel: {
+    run: (jobId, req) => jobQueue.cancelJob(jobId, {
+      rollback: (req.body && req.body.rollback === true) || req.query.rollback === 'true'
+    }),
+    done: 'Job cancelled',
+    requested: 'Cancellation requested; the job will stop after its current batch'
+  },
+  pause: {
+    run: (jobId) => jobQueue.pauseJob(jobId),
+    done: 'Job paused',
+    requested: 'Pause requested; the job will pause after its current batch'
+  },
+  resume: {
+    run: (jobId) => jobQueue.resumeJob(jobId),
+    done: 'Job resumed'
+  }
+};
+
+const handleJobControl = (action) => async (req, res) => {
+  const { jobId } = req.params;
+  const control = jobControlActions[action];
+  
+  try {
+    // The control methods act on any jobId, so check ownership first.
+    if (!(await jobQueue.getJobStatus(jobId, req.tenantId))) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    const outcome = await control.run(jobId, req);
+    
+    if (!outcome) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.status(outcome.immediate ? 200 : 202).json({
+      message: outcome.immediate ? control.done : control.requested,
+      jobId,
+      status: outcome.job.status,
+      controlRequest: outcome.job.controlRequest
+    });
+    
+  } catch (error) {
+    if (error instanceof JobStateError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    console.error(`Job ${action} error:`, error);
+    res.status(500).json({ error: `Failed to ${action} job`, details: error.message });
+  }
+};
+
+app.post('/jobs/:jobId/cancel', handleJobControl('cancel'));
+app.post('/jobs/:jobId/pause', handleJobControl('pause'));
+app.post('/jobs/:jobId/resume', handleJobControl('resume'));
+
+const ACTIVE_JOB_STATUSES = ['pending', 'processing', 'paused'];
+
+function readDeletionOptions(req) {
+  const body = req.body || {};
+  
+  return {
+    deleteFile: body.deleteFile === true || req.query.deleteFile === 'true',
+    audit: {
+      requestedBy: req.get('X-Requested-By'),
+      reason: typeof body.reason === 'string' ? body.reason : undefined
+    }
+  };
+}
+
+// Removes the stored object but keeps the File document as a tombstone so
+// jobs and audit entries still resolve.
+async function deleteStoredFile(file) {
+  await storage.delete(file.storageKey);
+  await File.updateOne(
+    { fileId: file.fileId },
+    { $set: { status: 'deleted', deletedAt: new Date() } }
+  );
+  console.log(`Deleted stored file ${file.storageKey}`);
+}
+
+app.post('/jobs/:jobId/rollback', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { deleteFile, audit } = readDeletionOptions(req);
+    
+    const existing = await jobQueue.getJobStatus(jobId, req.tenantId);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    const file = deleteFile ? await File.findOne({ fileId: existing.fileId }) : null;
+    
+    if (file && await Job.exists({ fileId: file.fileId, jobId: { $ne: jobId }, status: { $in: ACTIVE_JOB_STATUSES } })) {
+      return res.status(409).json({ error: 'Cannot delete the file while other jobs are using it' });
+    }
+    
+    const outcome = await jobQueue.rollbackJob(jobId, { ...audit, fileDeleted: Boolean(file) });
+    
+    if (file && file.status !== 'deleted') {
+      await deleteStoredFile(file);
+    }
+    
+    res.json({
+      message: 'Job rolled back',
+      jobId,
+      deletedRecords: outcome.deletedRecords,
+      fileDeleted: Boolean(file),
+      rollback: outcome.rollback
+    });
+    
+  } catch (error) {
+    if (error instanceof JobStateError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    console.error('Job rollback error:', error);
+    res.status(500).json({ error: 'Failed to roll back job', details: error.message });
+  }
+});
+
+app.delete('/files/:fileId/records', async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const { deleteFile, audit } = readDeletionOptions(req);
+    
+    const file = await File.findOne({ fileId, tenantId: req.tenantId });
+    
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    
+    if (await Job.exists({ fileId, status: { $in: ACTIVE_JOB_STATUSES } })) {
+      return res.status(409).json({ 
+        error: 'File has pending, processing or paused jobs; cancel them first' 
+      });
+    }
+    
+    // Going job by job leaves an audit entry on each import of this file.
+    const jobs = await Job.find({ fileId }, { jobId: 1 }).lean();
+    const perJob = [];
+    
+    for (const { jobId } of jobs) {
+      const deletedRecords = await jobQueue.rollbackJobRecords(jobId, {
+        ...audit,
+        source: 'file-delete',
+        fileDeleted: deleteFile
+      });
+      perJob.push({ jobId, deletedRecords });
+    }
+    
+    // Records imported before they were tagged with a jobId.
+    const { deletedCount: untagged } = await Record.deleteMany({ uploadedFileId: fileId });
+    
+    if (deleteFile && file.status !== 'deleted') {
+      await deleteStoredFile(file);
+    }
+    
+    res.json({
+      message: 'File records deleted',
+      fileId,
+      deletedRecords: perJob.reduce((sum, entry) => sum + entry.deletedRecords, untagged),
+      jobs: perJob,
+      fileDeleted: deleteFile
+    });
+    
+  } catch (error) {
+    console.error('Delete file records error:', error);
+    res.status(500).json({ error: 'Failed to delete file records', details: error.message });
   }
 });
 
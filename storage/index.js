@@ -0,0 +1,40 @@
+const S3Storage = require('./s3Storage');
+const LocalStorage = require('./localStorage');
+
+// Every backend exposes the same methods:
+//   putStream(key, stream, { contentType, onProgress })
+//   getStream(key, { start }) -> { stream, totalBytes }
+//   head(key) -> { size, contentType, lastModified, checksumSHA256 } | null
+//   delete(key)
+//   list(prefix) -> [{ key, size, lastModified }]
+//   createMultipartUpload(key, { contentType }) -> uploadId
+//   uploadPart(key, uploadId, partNumber, stream, { contentLength }) -> { etag }
+//   completeMultipartUpload(key, uploadId, [{ partNumber, etag }])
+//   abortMultipartUpload(key, uploadId)
+// Backends with supportsPresignedUploads also provide:
+//   presignPut(key, { contentType, contentLength, checksumSHA256, expiresIn }) -> { url, headers }
+//   presignUploadPart(key, uploadId, partNumber, { contentLength, expiresIn }) -> url
+function createStorage() {
+  const backend = process.env.STORAGE_BACKEND || 's3';
+
+  if (backend === 'local') {
+    return new LocalStorage({
+      rootDir: process.env.LOCAL_STORAGE_DIR || './uploads'
+    });
+  }
+
+  if (backend === 's3') {
+    return new S3Storage({
+      bucket: process.env.AWS_BUCKET_NAME,
+      region: process.env.AWS_REGION,
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+}
+
+const storage = createStorage();
+
+module.exports = storage;
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+
+// Stores objects as plain files under a root directory so the upload and
+// processing flow can run without AWS credentials (local development, CI).
+class LocalStorage {
+  constructor({ rootDir }) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+    this.multipartDir = path.join(this.rootDir, '.multipart');
+    // There is no separate endpoint clients could upload to directly.
+    this.supportsPresignedUploads = false;
+  }
+
+  resolveKey(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async putStream(key, body) {
+    const filePath = this.resolveKey(key);
+    const tempPath = `${filePath}.${process.pid}.partial`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      await pipeline(body, fs.createWriteStream(tempPath));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  async getStream(key, { start = 0 } = {}) {
+    const filePath = this.resolveKey(key);
+    const { size } = await fs.promises.stat(filePath);
+
+    if (start >= size) {
+      return { stream: Readable.from([]), totalBytes: size };
+    }
+
+    return {
+      stream: fs.createReadStream(filePath, { start }),
+      totalBytes: size
+    };
+  }
+
+  async head(key) {
+    try {
+      const stats = await fs.promises.stat(this.resolveKey(key));
+      return {
+        size: stats.size,
+        contentType: undefined,
+        lastModified: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolveKey(key), { force: true });
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+          if (entryPath === this.multipartDir) continue;
+          await walk(entryPath);
+          continue;
+        }
+
+        if (entry.name.endsWith('.partial')) continue;
+
+        const key = path.relative(this.rootDir, entryPath).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) continue;
+
+        const stats = await fs.promises.stat(entryPath);
+        objects.push({ key, size: stats.size, lastModified: stats.mtime });
+      }
+    };
+
+    await walk(this.rootDir);
+
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  // Multipart uploads keep each part as its own file until completion, when
+  // they are concatenated into the final object.
+  resolvePart(uploadId, partNumber) {
+    if (!/^[0-9a-f-]+$/.test(uploadId)) {
+      throw new Error(`Invalid upload id: ${uploadId}`);
+    }
+
+    const dir = path.join(this.multipartDir, uploadId);
+    return partNumber === undefined ? dir : path.join(dir, String(partNumber));
+  }
+
+  async createMultipartUpload(key) {
+    this.resolveKey(key);
+    const uploadId = crypto.randomUUID();
+
+    await fs.promises.mkdir(this.resolvePart(uploadId), { recursive: true });
+
+    return uploadId;
+  }
+
+  async uploadPart(key, uploadId, partNumber, body, { contentLength }) {
+    const partPath = this.resolvePart(uploadId, partNumber);
+    const tempPath = `${partPath}.${process.pid}.partial`;
+    const hash = crypto.createHash('md5');
+    let size = 0;
+
+    body.on('data', (chunk) => {
+      size += chunk.length;
+      hash.update(chunk);
+    });
+
+    try {
+      await pipeline(body, fs.createWriteStream(tempPath));
+
+      if (contentLength !== undefined && size !== contentLength) {
+        throw new Error(`Part ${partNumber} ended after ${size} of ${contentLength} bytes`);
+      }
+
+      await fs.promises.rename(tempPath, partPath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+
+    return { etag: `"${hash.digest('hex')}"` };
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    const partPaths = [...parts]
+      .sort((a, b) => a.partNumber - b.partNumber)
+      .map(part => this.resolvePart(uploadId, part.partNumber));
+
+    async function* concatenate() {
+      for (const partPath of partPaths) {
+        yield* fs.createReadStream(partPath);
+      }
+    }
+
+    await this.putStream(key, Readable.from(concatenate()));
+    await fs.promises.rm(this.resolvePart(uploadId), { recursive: true, force: true });
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await fs.promises.rm(this.resolvePart(uploadId), { recursive: true, force: true });
+  }
+}
+
+module.exports = LocalStorage;
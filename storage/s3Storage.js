@@ -0,0 +1,228 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { Readable } = require('stream');
+
+class S3Storage {
+  constructor({ bucket, region, accessKeyId, secretAccessKey }) {
+    this.name = 's3';
+    this.bucket = bucket;
+    this.supportsPresignedUploads = true;
+    this.client = new S3Client({
+      region,
+      credentials: {
+        accessKeyId,
+        secretAccessKey
+      }
+    });
+    // Presigned URLs must not carry a default checksum of the (empty)
+    // request body the SDK would otherwise compute while signing.
+    this.presignClient = new S3Client({
+      region,
+      credentials: {
+        accessKeyId,
+        secretAccessKey
+      },
+      requestChecksumCalculation: 'WHEN_REQUIRED'
+    });
+  }
+
+  async putStream(key, body, { contentType, onProgress } = {}) {
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+      },
+    });
+
+    if (onProgress) {
+      upload.on('httpUploadProgress', (progress) => {
+        onProgress(progress.loaded, progress.total);
+      });
+    }
+
+    await upload.done();
+  }
+
+  async getStream(key, { start = 0 } = {}) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Range: start > 0 ? `bytes=${start}-` : undefined
+    });
+
+    try {
+      const response = await this.client.send(command);
+
+      // Ranged responses report only the remaining length; the full object
+      // size is the part after the slash in "bytes 100-199/1000".
+      const totalBytes = response.ContentRange
+        ? parseInt(response.ContentRange.split('/')[1])
+        : response.ContentLength;
+
+      return { stream: response.Body, totalBytes };
+    } catch (error) {
+      // Resuming exactly at EOF leaves nothing left to read.
+      if (start > 0 && error.name === 'InvalidRange') {
+        return { stream: Readable.from([]), totalBytes: start };
+      }
+      throw error;
+    }
+  }
+
+  async head(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        ChecksumMode: 'ENABLED'
+      }));
+
+      return {
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        lastModified: response.LastModified,
+        checksumSHA256: response.ChecksumSHA256
+      };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.name === 'NoSuchKey') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  async list(prefix = '') {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        objects.push({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified
+        });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async createMultipartUpload(key, { contentType } = {}) {
+    const response = await this.client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType
+    }));
+
+    return response.UploadId;
+  }
+
+  // S3 needs the length up front to stream a part without buffering it.
+  async uploadPart(key, uploadId, partNumber, body, { contentLength }) {
+    const response = await this.client.send(new UploadPartCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body,
+      ContentLength: contentLength
+    }));
+
+    return { etag: response.ETag };
+  }
+
+  async completeMultipartUpload(key, uploadId, parts) {
+    await this.client.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+      }
+    }));
+  }
+
+  // Content-Type and Content-Length are signed, so S3 rejects a PUT that
+  // doesn't match what was declared. A base64 SHA-256 makes S3 verify the
+  // body as well.
+  async presignPut(key, { contentType, contentLength, checksumSHA256, expiresIn }) {
+    const command = new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ContentType: contentType,
+      ContentLength: contentLength,
+      ChecksumSHA256: checksumSHA256
+    });
+
+    // Keep the checksum a signed header rather than a query parameter so
+    // the client has to send it and S3 checks the body against it.
+    const url = await getSignedUrl(this.presignClient, command, {
+      expiresIn,
+      signableHeaders: new Set(['content-type', 'content-length', 'x-amz-checksum-sha256']),
+      unhoistableHeaders: new Set(['x-amz-checksum-sha256'])
+    });
+
+    const headers = { 'Content-Type': contentType };
+    if (checksumSHA256) {
+      headers['x-amz-checksum-sha256'] = checksumSHA256;
+    }
+
+    return { url, headers };
+  }
+
+  async presignUploadPart(key, uploadId, partNumber, { contentLength, expiresIn }) {
+    const command = new UploadPartCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      ContentLength: contentLength
+    });
+
+    return getSignedUrl(this.presignClient, command, {
+      expiresIn,
+      signableHeaders: new Set(['content-length'])
+    });
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await this.client.send(new AbortMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: uploadId
+    }));
+  }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,190 @@
+const Job = require('./models/Job');
+const TenantUsage = require('./models/TenantUsage');
+
+const RATE_WINDOW_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Queued jobs drain as workers free up, so there is no exact time to give.
+const QUEUE_FULL_RETRY_AFTER_SECONDS = 30;
+
+const DEFAULT_LIMITS = {
+  maxConcurrentJobs: parseInt(process.env.TENANT_MAX_CONCURRENT_JOBS) || 2,
+  maxQueuedJobs: parseInt(process.env.TENANT_MAX_QUEUED_JOBS) || 20,
+  dailyUploadBytes: parseInt(process.env.TENANT_DAILY_UPLOAD_BYTES) || 20 * 1024 * 1024 * 1024,
+  uploadRequestsPerMinute: parseInt(process.env.TENANT_UPLOAD_RATE_LIMIT) || 30,
+  processRequestsPerMinute: parseInt(process.env.TENANT_PROCESS_RATE_LIMIT) || 60
+};
+
+const RATE_LIMITS = {
+  upload: { kind: 'upload-requests', limit: 'uploadRequestsPerMinute' },
+  process: { kind: 'process-requests', limit: 'processRequestsPerMinute' }
+};
+
+class QuotaExceededError extends Error {
+  constructor(message, retryAfterSeconds) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.statusCode = 429;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+// TENANT_LIMITS overrides the defaults per tenant, e.g.
+// {"acme": {"maxConcurrentJobs": 5, "dailyUploadBytes": 107374182400}}
+function loadTenantOverrides(config = process.env.TENANT_LIMITS) {
+  if (!config) return {};
+
+  const overrides = JSON.parse(config);
+
+  for (const [tenantId, limits] of Object.entries(overrides)) {
+    for (const [name, value] of Object.entries(limits)) {
+      if (!(name in DEFAULT_LIMITS)) {
+        throw new Error(`Unknown limit in TENANT_LIMITS for ${tenantId}: ${name}`);
+      }
+      if (!Number.isSafeInteger(value) || value <= 0) {
+        throw new Error(`TENANT_LIMITS ${tenantId}.${name} must be a positive integer`);
+      }
+    }
+  }
+
+  return overrides;
+}
+
+const tenantOverrides = loadTenantOverrides();
+
+function getTenantLimits(tenantId) {
+  return { ...DEFAULT_LIMITS, ...tenantOverrides[tenantId] };
+}
+
+async function incrementUsage(tenantId, kind, windowStart, windowMs, amount) {
+  const usage = await TenantUsage.findOneAndUpdate(
+    { tenantId, kind, windowStart },
+    {
+      $inc: { count: amount },
+      $setOnInsert: { expiresAt: new Date(windowStart.getTime() + 2 * windowMs) }
+    },
+    { upsert: true, new: true }
+  );
+
+  return usage.count;
+}
+
+function currentWindow(windowMs, now = Date.now()) {
+  const windowStart = new Date(Math.floor(now / windowMs) * windowMs);
+  const retryAfterSeconds = Math.ceil((windowStart.getTime() + windowMs - now) / 1000);
+
+  return { windowStart, retryAfterSeconds };
+}
+
+// Fixed one-minute windows per tenant and route group. Routes that only
+// sometimes do the limited work pass when(req) so other requests aren't
+// counted.
+function rateLimit(name, { when } = {}) {
+  const { kind, limit: limitName } = RATE_LIMITS[name];
+
+  return async (req, res, next) => {
+    if (when && !when(req)) return next();
+
+    try {
+      const limit = getTenantLimits(req.tenantId)[limitName];
+      const { windowStart, retryAfterSeconds } = currentWindow(RATE_WINDOW_MS);
+      const count = await incrementUsage(req.tenantId, kind, windowStart, RATE_WINDOW_MS, 1);
+
+      res.set({
+        'X-RateLimit-Limit': String(limit),
+        'X-RateLimit-Remaining': String(Math.max(0, limit - count))
+      });
+
+      if (count > limit) {
+        return res.set('Retry-After', String(retryAfterSeconds)).status(429).json({
+          error: `Rate limit exceeded: ${limit} ${name} requests per minute`,
+          retryAfter: retryAfterSeconds
+        });
+      }
+
+      next();
+
+    } catch (error) {
+      console.error('Rate limit error:', error);
+      res.status(500).json({ error: 'Failed to check rate limit', details: error.message });
+    }
+  };
+}
+
+async function getUploadBytesToday(tenantId) {
+  const { windowStart } = currentWindow(DAY_MS);
+  const usage = await TenantUsage.findOne({ tenantId, kind: 'upload-bytes', windowStart }).lean();
+
+  return usage ? usage.count : 0;
+}
+
+function uploadQuotaExceeded(limit, message = `Daily upload quota of ${limit} bytes exceeded`) {
+  return new QuotaExceededError(message, currentWindow(DAY_MS).retryAfterSeconds);
+}
+
+// Adds bytes to the tenant's usage for the current UTC day and returns how
+// many bytes the tenant has left, along with the day that was charged.
+// Uploads are charged their declared size before any data is stored; a
+// charge that would go over the quota is taken back and rejected, and a
+// zero-byte charge (size not known yet) is rejected once the quota is used
+// up. Pass enforce: false to settle the difference once the real size is
+// known, or to refund a failed upload, with the windowStart of the original
+// charge so an upload that spans midnight is settled against the right day.
+async function chargeUploadBytes(tenantId, bytes, {
+  enforce = true,
+  windowStart = currentWindow(DAY_MS).windowStart
+} = {}) {
+  const limit = getTenantLimits(tenantId).dailyUploadBytes;
+
+  if (bytes === 0) {
+    const used = await getUploadBytesToday(tenantId);
+
+    if (enforce && used >= limit) {
+      throw uploadQuotaExceeded(limit);
+    }
+    return { remainingBytes: limit - used, windowStart };
+  }
+
+  const used = await incrementUsage(tenantId, 'upload-bytes', windowStart, DAY_MS, bytes);
+
+  if (enforce && used > limit) {
+    await incrementUsage(tenantId, 'upload-bytes', windowStart, DAY_MS, -bytes);
+    throw uploadQuotaExceeded(
+      limit,
+      `Daily upload quota exceeded: ${used - bytes} of ${limit} bytes used, this upload needs ${bytes}`
+    );
+  }
+
+  return { remainingBytes: limit - used, windowStart };
+}
+
+// For uploads that were charged but never stored. A failed refund only
+// leaves the tenant with less quota for the day, so it is logged, not thrown.
+async function refundUploadBytes(tenantId, bytes, windowStart) {
+  await chargeUploadBytes(tenantId, -bytes, { enforce: false, windowStart })
+    .catch(error => console.error('Upload quota refund error:', error));
+}
+
+// Checked before enqueueing; two requests racing for the last slot can
+// both get in, which is fine for a fairness limit.
+async function assertQueueCapacity(tenantId) {
+  const limit = getTenantLimits(tenantId).maxQueuedJobs;
+  const queued = await Job.countDocuments({ tenantId, status: 'pending' });
+
+  if (queued >= limit) {
+    throw new QuotaExceededError(
+      `Too many queued jobs: ${queued} of ${limit} allowed are waiting to run`,
+      QUEUE_FULL_RETRY_AFTER_SECONDS
+    );
+  }
+}
+
+module.exports = {
+  QuotaExceededError,
+  getTenantLimits,
+  getUploadBytesToday,
+  rateLimit,
+  uploadQuotaExceeded,
+  chargeUploadBytes,
+  refundUploadBytes,
+  assertQueueCapacity
+};
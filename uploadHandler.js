@@ -1,84 +1,318 @@
 const Busboy = require('busboy');
-const { S3Client } = require('@aws-sdk/client-s3');
-const { Upload } = require('@aws-sdk/lib-storage');
 const { v4: uuidv4 } = require('uuid');
 const { PassThrough } = require('stream');
+const crypto = require('crypto');
+const File = require('./models/File');
+const storage = require('./storage');
+const { isSupportedUpload, detectFormat } = require('./fileFormats');
+const {
+  getTenantLimits,
+  uploadQuotaExceeded,
+  chargeUploadBytes,
+  refundUploadBytes
+} = require('./tenantLimits');
 
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+// Enough to recognise a zip container or the first JSON token.
+const SNIFF_BYTES = 512;
+const MAX_FILE_BYTES = 1024 * 1024 * 1024;
+
+class UploadIntegrityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UploadIntegrityError';
+    this.statusCode = 400;
   }
-});
+}
 
-async function handleStreamingUpload(req) {
+// Checksums the client expects for the file part, as lowercase hex. Both
+// headers may be hex or base64. These are our own headers because the
+// standard Content-MD5 would cover the whole multipart body, not the file.
+function readExpectedChecksums(req) {
+  const expected = {};
+  const md5 = req.get('X-Checksum-MD5');
+  const sha256 = req.get('X-Checksum-SHA256');
+  
+  if (md5) {
+    const digest = /^[0-9a-f]{32}$/i.test(md5)
+      ? Buffer.from(md5, 'hex')
+      : Buffer.from(md5, 'base64');
+    if (digest.length !== 16) {
+      throw new UploadIntegrityError('X-Checksum-MD5 must be a hex or base64 MD5 digest');
+    }
+    expected.md5 = digest.toString('hex');
+  }
+  
+  if (sha256) {
+    const digest = /^[0-9a-f]{64}$/i.test(sha256)
+      ? Buffer.from(sha256, 'hex')
+      : Buffer.from(sha256, 'base64');
+    if (digest.length !== 32) {
+      throw new UploadIntegrityError('X-Checksum-SHA256 must be a hex or base64 SHA-256 digest');
+    }
+    expected.sha256 = digest.toString('hex');
+  }
+  
+  return expected;
+}
+
+// Objects live under a per-tenant prefix so bucket policies and lifecycle
+// rules can be set per tenant. Client-supplied names (tus metadata, presign
+// requests) lose their path separators so they can't step out of it.
+function buildStorageKey(tenantId, fileId, originalName) {
+  return `${tenantId}/${fileId}-${originalName.replace(/[\\/]/g, '_')}`;
+}
+
+// The upload has to finish before its hash is known, so a duplicate is
+// detected afterwards and the fresh copy is thrown away. Only the tenant's
+// own files count.
+async function findDuplicate(tenantId, fileId, checksum, size) {
+  return File.findOne({
+    tenantId,
+    fileId: { $ne: fileId },
+    'checksum.algorithm': checksum.algorithm,
+    'checksum.value': checksum.value,
+    size,
+    status: 'uploaded'
+  }).sort({ uploadedAt: 1 });
+}
+
+// For objects that were written without passing through handleStreamingUpload
+// (chunked and direct uploads): reads the object back once to get the same
+// size, hash and format the streaming path computes on the fly. Without
+// hash only the first bytes are read, to detect the format.
+async function inspectStoredFile(storageKey, originalName, { hash: computeHash = true } = {}) {
+  const { stream } = await storage.getStream(storageKey);
+  const hash = crypto.createHash('sha256');
+  let firstBytes = Buffer.alloc(0);
+  let size = 0;
+  
+  for await (const chunk of stream) {
+    size += chunk.length;
+    hash.update(chunk);
+    
+    if (firstBytes.length < SNIFF_BYTES) {
+      firstBytes = Buffer.concat([firstBytes, chunk]).subarray(0, SNIFF_BYTES);
+    }
+    
+    if (!computeHash && firstBytes.length >= SNIFF_BYTES) break;
+  }
+  
+  return {
+    size: computeHash ? size : undefined,
+    checksum: computeHash ? { algorithm: 'sha256', value: hash.digest('hex') } : undefined,
+    format: detectFormat(originalName, firstBytes)
+  };
+}
+
+// For uploads that finish in storage rather than through this process:
+// hashing reads the whole object back, which can take minutes, so it runs
+// after the upload has been reported complete. If it fails, or the process
+// stops first, the file simply has no checksum.
+function recordChecksumLater(fileId, storageKey, originalName) {
+  inspectStoredFile(storageKey, originalName)
+    .then(({ checksum }) => File.updateOne({ fileId }, { $set: { checksum: { ...checksum, verified: false } } }))
+    .catch(error => console.error(`Checksum error for ${storageKey}:`, error));
+}
+
+// The daily upload quota is charged the request's Content-Length up front
+// (the multipart body is a little larger than the file, which is close
+// enough) and settled to the real size afterwards. A request without one is
+// cut off once the file outgrows what the quota has left.
+async function handleStreamingUpload(req, { dedupe = false } = {}) {
+  const expected = readExpectedChecksums(req);
+  const reservedBytes = parseInt(req.get('Content-Length')) || 0;
+  const { remainingBytes, windowStart } = await chargeUploadBytes(req.tenantId, reservedBytes);
+  
+  let result;
+  try {
+    result = await receiveUpload(req, {
+      dedupe,
+      expected,
+      maxFileBytes: remainingBytes + reservedBytes
+    });
+  } catch (error) {
+    // Nothing was stored, so don't count it against the quota.
+    await refundUploadBytes(req.tenantId, reservedBytes, windowStart);
+    throw error;
+  }
+  
+  await chargeUploadBytes(req.tenantId, result.size - reservedBytes, { enforce: false, windowStart });
+  
+  return result;
+}
+
+function receiveUpload(req, { dedupe, expected, maxFileBytes }) {
+  const quotaLimited = maxFileBytes < MAX_FILE_BYTES;
+  
   return new Promise((resolve, reject) => {
     const busboy = Busboy({ 
       headers: req.headers,
       limits: {
-        fileSize: 1024 * 1024 * 1024, // 1GB limit
+        fileSize: Math.min(maxFileBytes, MAX_FILE_BYTES),
         files: 1
       }
     });
 
     let uploadPromise = null;
+    let passThrough = null;
+    let abortError = null;
     let fileProcessed = false;
+    // Form fields can come before or after the file part; they are only
+    // read once the whole request has been consumed.
+    const fields = {};
+    
+    busboy.on('field', (name, value) => {
+      fields[name] = value;
+    });
 
     busboy.on('file', (fieldname, file, info) => {
       const originalName = info.filename;
       const mimeType = info.mimeType;
 
-      if (!mimeType.includes('text') && 
-          !mimeType.includes('csv') && 
-          !originalName.endsWith('.txt') && 
-          !originalName.endsWith('.csv')) {
+      if (!isSupportedUpload(originalName, mimeType)) {
         file.resume();
-        reject(new Error('Only text and CSV files are allowed'));
+        reject(new Error('Only CSV, TSV, JSON, JSON Lines and XLSX files are allowed'));
         return;
       }
 
       const fileId = uuidv4();
-      const fileName = `${fileId}-${originalName}`;
+      const fileName = buildStorageKey(req.tenantId, fileId, originalName);
+      const hash = crypto.createHash('sha256');
+      const md5 = expected.md5 ? crypto.createHash('md5') : null;
       let fileSize = 0;
+      let firstBytes = Buffer.alloc(0);
 
       console.log(`Starting upload: ${fileName}`);
 
-      const passThrough = new PassThrough();
+      const fileRecord = File.create({
+        fileId,
+        tenantId: req.tenantId,
+        storageKey: fileName,
+        storageBackend: storage.name,
+        originalName,
+        mimeType,
+        uploadedBy: req.get('X-Uploaded-By'),
+        uploaderIp: req.ip,
+        status: 'uploading'
+      });
+
+      passThrough = new PassThrough();
       
       file.on('data', (chunk) => {
         fileSize += chunk.length;
+        hash.update(chunk);
+        if (md5) md5.update(chunk);
+        
+        if (firstBytes.length < SNIFF_BYTES) {
+          firstBytes = Buffer.concat([firstBytes, chunk]).subarray(0, SNIFF_BYTES);
+        }
       });
 
-      file.pipe(passThrough);
-
-      const upload = new Upload({
-        client: s3Client,
-        params: {
-          Bucket: process.env.AWS_BUCKET_NAME,
-          Key: fileName,
-          Body: passThrough,
-          ContentType: mimeType,
-        },
+      // Busboy only truncates the file at the limit, so fail the upload
+      // rather than store part of it. The backend may not be reading yet,
+      // so the error is kept here instead of relying on the stream's
+      // 'error' event to reach it.
+      let limitError = null;
+      passThrough.on('error', () => {});
+      file.on('limit', () => {
+        limitError = quotaLimited
+          ? uploadQuotaExceeded(getTenantLimits(req.tenantId).dailyUploadBytes)
+          : new Error('File size limit exceeded');
+        passThrough.destroy(limitError);
+        file.resume();
       });
 
-      upload.on('httpUploadProgress', (progress) => {
-        if (progress.total) {
-          const percentage = Math.round((progress.loaded / progress.total) * 100);
-          console.log(`Upload progress: ${percentage}%`);
+      // pipe() doesn't pass errors on; busboy errors the file stream when
+      // it is destroyed mid-part.
+      file.on('error', error => passThrough.destroy(error));
+      file.pipe(passThrough);
+
+      const upload = storage.putStream(fileName, passThrough, {
+        contentType: mimeType,
+        onProgress: (loaded, total) => {
+          if (total) {
+            const percentage = Math.round((loaded / total) * 100);
+            console.log(`Upload progress: ${percentage}%`);
+          }
         }
       });
 
-      uploadPromise = upload.done().then(() => {
-        fileProcessed = true;
-        console.log(`Upload complete: ${fileName} (${fileSize} bytes)`);
-        return {
-          fileId,
-          fileName,
-          originalName,
-          size: fileSize
-        };
-      });
+      uploadPromise = Promise.all([fileRecord, upload])
+        .then(async () => {
+          if (limitError || abortError) {
+            await storage.delete(fileName).catch(() => {});
+            throw limitError || abortError;
+          }
+          
+          fileProcessed = true;
+          const checksum = { algorithm: 'sha256', value: hash.digest('hex') };
+          const format = detectFormat(originalName, firstBytes);
+          
+          if (md5 && md5.digest('hex') !== expected.md5) {
+            await storage.delete(fileName).catch(() => {});
+            throw new UploadIntegrityError('X-Checksum-MD5 does not match the uploaded file');
+          }
+          
+          if (expected.sha256 && expected.sha256 !== checksum.value) {
+            await storage.delete(fileName).catch(() => {});
+            throw new UploadIntegrityError('X-Checksum-SHA256 does not match the uploaded file');
+          }
+          
+          checksum.verified = Boolean(expected.md5 || expected.sha256);
+          
+          const duplicate = dedupe ? await findDuplicate(req.tenantId, fileId, checksum, fileSize) : null;
+          
+          if (duplicate) {
+            await storage.delete(fileName);
+            await File.deleteOne({ fileId });
+            
+            console.log(`Upload ${fileName} is identical to ${duplicate.storageKey}; reusing ${duplicate.fileId}`);
+            return {
+              fileId: duplicate.fileId,
+              fileName: duplicate.storageKey,
+              originalName: duplicate.originalName,
+              size: duplicate.size,
+              checksum: duplicate.checksum,
+              format: duplicate.format,
+              duplicate: true
+            };
+          }
+          
+          await File.updateOne(
+            { fileId },
+            { $set: { status: 'uploaded', size: fileSize, checksum, format, uploadedAt: new Date() } }
+          );
+          
+          console.log(`Upload complete: ${fileName} (${fileSize} bytes, ${format})`);
+          return {
+            fileId,
+            fileName,
+            originalName,
+            size: fileSize,
+            checksum,
+            format,
+            duplicate: false
+          };
+        })
+        .catch(async (error) => {
+          const failure = limitError || abortError || error;
+          
+          // The backend may have written part of the object before the
+          // stream was cut off.
+          if (abortError) {
+            await storage.delete(fileName).catch(() => {});
+          }
+          
+          await File.updateOne(
+            { fileId },
+            { $set: { status: 'failed', error: failure.message } }
+          ).catch(() => {});
+          throw failure;
+        });
+      
+      // Only awaited once busboy finishes, which never happens if the
+      // request fails first; the failure is reported through reject then.
+      uploadPromise.catch(() => {});
     });
 
     busboy.on('finish', async () => {
@@ -89,13 +323,15 @@ async function handleStreamingUpload(req) {
         }
 
         const result = await uploadPromise;
-        resolve(result);
+        resolve({ ...result, fields });
       } catch (error) {
         reject(error);
       }
     });
 
     busboy.on('error', (error) => {
+      // Destroying busboy after an abort reports the cut-off form.
+      if (abortError) return;
       console.error('Busboy error:', error);
       reject(error);
     });
@@ -104,8 +340,30 @@ async function handleStreamingUpload(req) {
       reject(new Error('Too many files. Only 1 file allowed.'));
     });
 
+    // When the client disconnects mid-upload busboy emits neither finish
+    // nor error, so stop reading and fail the upload here.
+    const abort = (error) => {
+      if (abortError) return;
+      abortError = error;
+      req.unpipe(busboy);
+      busboy.destroy();
+      if (passThrough) passThrough.destroy(error);
+      reject(error);
+    };
+    
+    req.on('error', error => abort(new Error(`Upload aborted by client: ${error.message}`)));
+    req.on('close', () => {
+      if (!req.complete) abort(new Error('Upload aborted by client'));
+    });
+
     req.pipe(busboy);
   });
 }
 
-module.exports = { handleStreamingUpload };
\ No newline at end of file
+module.exports = {
+  handleStreamingUpload,
+  inspectStoredFile,
+  recordChecksumLater,
+  buildStorageKey,
+  UploadIntegrityError
+};
\ No newline at end of file